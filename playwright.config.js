@@ -4,7 +4,7 @@ import path from 'path';
 const EXTENSION_PATH = path.resolve('./');
 
 export default defineConfig({
-  testDir: './tests/e2e',
+  testDir: './tests',
   timeout: 60000,
   retries: 0,
   reporter: 'list',
@@ -15,8 +15,14 @@ export default defineConfig({
     trace: 'retain-on-failure',
   },
   projects: [
+    {
+      // Pure logic, run in Node against the extension sources - no browser needed
+      name: 'unit',
+      testDir: './tests/unit',
+    },
     {
       name: 'chromium-extension',
+      testDir: './tests/e2e',
       use: {
         launchOptions: {
           args: [
@@ -0,0 +1,271 @@
+/**
+ * Background service worker for Transcript Control
+ * Turns browser-level triggers (keyboard command, toolbar action, link
+ * context menu) into COPY_TRANSCRIPT and MARK_RANGE messages for the content script,
+ * shows playlist progress on the toolbar badge, sends transcripts to the
+ * configured endpoint and keeps them in the local library
+ */
+
+importScripts('urls.js', 'errors.js', 'endpoint.js', 'library.js');
+
+const LOG_PREFIX = '[TranscriptControl:background]';
+
+function log(...args) {
+  console.log(LOG_PREFIX, ...args);
+}
+
+function logError(...args) {
+  console.error(LOG_PREFIX, ...args);
+}
+
+log('Service worker starting');
+
+/**
+ * Get the active tab of the focused window
+ * @returns {Promise<chrome.tabs.Tab|undefined>}
+ */
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab;
+}
+
+/**
+ * Send a request to the content script of the video the user is watching
+ * The top frame is asked first; if it is not a video page, embedded players
+ * are asked instead, and only one that is playing will act
+ * @param {chrome.tabs.Tab} tab - Target tab
+ * @param {object} message - COPY_TRANSCRIPT or MARK_RANGE message
+ * @returns {Promise<boolean>} Whether a content script took the request
+ */
+async function requestFromVideo(tab, message) {
+  log('Requesting', message.type, 'on tab', tab.id, 'from', message.source);
+  try {
+    const top = await chrome.tabs.sendMessage(tab.id, message, { frameId: 0 });
+    if (top?.handled) {
+      return true;
+    }
+
+    const embedded = await chrome.tabs.sendMessage(tab.id, { ...message, playingOnly: true });
+    if (embedded?.handled) {
+      return true;
+    }
+    log('No video on tab', tab.id, 'took the request');
+  } catch (err) {
+    // No content script on this tab (not a YouTube page, or loaded before install)
+    logError('Could not reach content script on tab', tab.id + ':', err.message);
+  }
+  return false;
+}
+
+/**
+ * Ask the content script on a tab to copy the transcript
+ * @param {chrome.tabs.Tab} tab - Target tab
+ * @param {string} source - What triggered the request, for logging
+ * @param {string} [range] - Named part of the video to copy ('playhead', 'last' or 'marks')
+ * @returns {Promise<boolean>} Whether a content script took the request
+ */
+function requestCopy(tab, source, range) {
+  return requestFromVideo(tab, { type: 'COPY_TRANSCRIPT', source, ...(range ? { range } : {}) });
+}
+
+/**
+ * Commands that copy part of the video, and the named range each one copies
+ */
+const RANGE_COMMANDS = {
+  'copy-from-playhead': 'playhead',
+  'copy-last-minutes': 'last',
+  'copy-marked-range': 'marks'
+};
+
+/**
+ * Context menu item shown on links to YouTube videos
+ */
+const LINK_MENU_ID = 'copy-link-transcript';
+
+/**
+ * Link URL patterns the context menu item is offered on
+ * TranscriptUrls.parseVideoId has the final say on whether a link is a video
+ */
+const VIDEO_LINK_PATTERNS = [
+  '*://*.youtube.com/watch*',
+  '*://*.youtube.com/shorts/*',
+  '*://*.youtube.com/live/*',
+  '*://*.youtube.com/embed/*',
+  '*://*.youtube-nocookie.com/embed/*',
+  '*://youtu.be/*'
+];
+
+/**
+ * Pages the context menu item appears on; the content script must run there
+ */
+const YOUTUBE_PAGE_PATTERNS = [
+  'https://www.youtube.com/*',
+  'https://m.youtube.com/*'
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: LINK_MENU_ID,
+    title: 'Copy transcript',
+    contexts: ['link'],
+    targetUrlPatterns: VIDEO_LINK_PATTERNS,
+    documentUrlPatterns: YOUTUBE_PAGE_PATTERNS
+  });
+  log('Context menu registered');
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== LINK_MENU_ID || !tab?.id) {
+    return;
+  }
+
+  const videoId = TranscriptUrls.parseVideoId(info.linkUrl);
+  log('Context menu clicked for link:', info.linkUrl, '- video:', videoId);
+  if (!videoId) {
+    logError('Link is not a video:', info.linkUrl);
+    return;
+  }
+
+  // The frame that was right-clicked fetches the transcript with its own page session
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'COPY_TRANSCRIPT', source: 'context-menu', videoId }, { frameId: info.frameId });
+  } catch (err) {
+    logError('Could not reach content script on tab', tab.id + ':', err.message);
+  }
+});
+
+/**
+ * Ask the top frame of a tab to copy its whole playlist
+ * @param {chrome.tabs.Tab} tab - Target tab
+ */
+async function requestPlaylistCopy(tab) {
+  log('Requesting playlist copy on tab', tab.id);
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'COPY_PLAYLIST', source: 'command' }, { frameId: 0 });
+    if (!response?.handled) {
+      log('No playlist on tab', tab.id);
+    }
+  } catch (err) {
+    logError('Could not reach content script on tab', tab.id + ':', err.message);
+  }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  log('Command received:', command);
+  const target = tab || await getActiveTab();
+  if (!target?.id) {
+    return;
+  }
+  if (command === 'copy-transcript') {
+    requestCopy(target, 'command');
+  } else if (command === 'copy-playlist') {
+    requestPlaylistCopy(target);
+  } else if (command === 'mark-range') {
+    requestFromVideo(target, { type: 'MARK_RANGE', source: 'command' });
+  } else if (RANGE_COMMANDS[command]) {
+    requestCopy(target, 'command', RANGE_COMMANDS[command]);
+  }
+});
+
+// Playlist progress from content scripts, shown as a percentage on the tab's badge
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message?.type !== 'PLAYLIST_PROGRESS' || !sender.tab?.id) {
+    return;
+  }
+  const tabId = sender.tab.id;
+  if (message.done === null) {
+    chrome.action.setBadgeText({ tabId, text: '' });
+    return;
+  }
+  const percent = Math.floor((message.done / message.total) * 100);
+  chrome.action.setBadgeBackgroundColor({ tabId, color: '#3ea6ff' });
+  chrome.action.setBadgeText({ tabId, text: `${percent}%` });
+});
+
+// Settings and library links in the control menu
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === 'OPEN_OPTIONS') {
+    log('Opening options page');
+    chrome.runtime.openOptionsPage();
+  } else if (message?.type === 'OPEN_LIBRARY') {
+    log('Opening library page');
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/library.html') });
+  }
+});
+
+/**
+ * Host permission pattern covering an endpoint, on any port
+ * @param {string} url - Endpoint URL
+ * @returns {string}
+ */
+function endpointOrigin(url) {
+  const { protocol, hostname } = new URL(url);
+  return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * POST a transcript to an endpoint with retries
+ * Unreachable endpoints are checked for a missing host permission, the
+ * usual cause when the service does not send CORS headers
+ * @param {object} message - SEND_TO_ENDPOINT message
+ * @returns {Promise<{ok: boolean, status?: number, attempts?: number, error?: object}>}
+ */
+async function sendToEndpoint({ url, transcript, text, format, timeoutMs, test }) {
+  log('Sending transcript to endpoint:', url, test ? '(test)' : '');
+  try {
+    if (!TranscriptEndpoint.isEndpointUrl(url)) {
+      throw new TranscriptErrors.TranscriptError('INVALID_OPTION', `Not an http(s) endpoint: ${url}`, { url });
+    }
+    const payload = TranscriptEndpoint.buildPayload(transcript, { format, text, test });
+    const { status, attempts } = await TranscriptEndpoint.send(url, payload, { timeoutMs });
+    log('Endpoint accepted transcript, status:', status, '- attempts:', attempts);
+    return { ok: true, status, attempts };
+  } catch (err) {
+    if (err.code === 'ENDPOINT_FAILED' && err.details.status === null &&
+        !await chrome.permissions.contains({ origins: [endpointOrigin(url)] })) {
+      err.message += ` (allow access to ${new URL(url).hostname} on the settings page)`;
+    }
+    logError('Endpoint delivery failed:', err.message);
+    return { ok: false, error: TranscriptErrors.serializeError(err) };
+  }
+}
+
+// Endpoint delivery for content scripts and the options page's test button
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'SEND_TO_ENDPOINT') {
+    return;
+  }
+  sendToEndpoint(message).then(sendResponse);
+  // Keeps the channel open for the asynchronous answer
+  return true;
+});
+
+/**
+ * Keep a transcript in the library, then apply the retention limits
+ * @param {object} message - SAVE_TO_LIBRARY message
+ * @returns {Promise<{ok: boolean, id?: string, pruned?: number, error?: object}>}
+ */
+async function saveToLibrary({ transcript, limits }) {
+  try {
+    const { id, pruned } = await TranscriptLibrary.save(transcript, limits);
+    log('Saved to library:', id, '- pruned:', pruned);
+    return { ok: true, id, pruned };
+  } catch (err) {
+    logError('Library save failed:', err.message);
+    return { ok: false, error: TranscriptErrors.serializeError(err) };
+  }
+}
+
+// Library saves for content scripts, whose own IndexedDB belongs to YouTube
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'SAVE_TO_LIBRARY') {
+    return;
+  }
+  saveToLibrary(message).then(sendResponse);
+  return true;
+});
+
+chrome.action.onClicked.addListener((tab) => {
+  log('Toolbar action clicked');
+  requestCopy(tab, 'action');
+});
@@ -0,0 +1,87 @@
+/**
+ * Transcript cache
+ * Bounded, expiring map of pending or settled loads, so repeated copies of a
+ * video skip the network and a prefetch and a click share one request
+ */
+(function (root) {
+  /**
+   * Default cache tuning
+   * maxEntries: entries kept before the least recently used is evicted
+   * ttlMs: age after which an entry is loaded again instead of served
+   */
+  const CACHE_DEFAULTS = {
+    maxEntries: 20,
+    ttlMs: 30 * 60 * 1000
+  };
+
+  /**
+   * Create a cache
+   * Only successful loads stay cached: a rejected load is dropped as soon as it
+   * fails, so the next caller retries instead of getting the old failure.
+   * @param {object} [options] - Overrides for CACHE_DEFAULTS
+   * @param {Function} [options.now] - Clock, for tests
+   * @returns {{remember: Function, delete: Function, clear: Function, size: Function}}
+   */
+  function createCache(options = {}) {
+    const { maxEntries, ttlMs, now = Date.now } = { ...CACHE_DEFAULTS, ...options };
+    // Map iteration order doubles as recency: oldest first
+    const entries = new Map();
+
+    /**
+     * Look up a live entry, dropping it when expired
+     * @param {string} key
+     * @returns {{promise: Promise, storedAt: number}|null}
+     */
+    function lookup(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (now() - entry.storedAt >= ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    }
+
+    /**
+     * Get the cached value for a key, or load and cache it
+     * @param {string} key
+     * @param {Function} load - Returns a promise of the value
+     * @returns {{promise: Promise, hit: boolean, storedAt: number}} The value's promise,
+     *   whether it came from the cache and when it was stored
+     */
+    function remember(key, load) {
+      const cached = lookup(key);
+      if (cached) {
+        entries.delete(key);
+        entries.set(key, cached);
+        return { promise: cached.promise, hit: true, storedAt: cached.storedAt };
+      }
+
+      const entry = { promise: Promise.resolve().then(load), storedAt: now() };
+      entry.promise.catch(() => {
+        if (entries.get(key) === entry) {
+          entries.delete(key);
+        }
+      });
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return { promise: entry.promise, hit: false, storedAt: entry.storedAt };
+    }
+
+    return {
+      remember,
+      delete: key => entries.delete(key),
+      clear: () => entries.clear(),
+      size: () => entries.size
+    };
+  }
+
+  root.TranscriptCache = {
+    CACHE_DEFAULTS,
+    createCache
+  };
+})(globalThis);
@@ -0,0 +1,203 @@
+/**
+ * Private request channel between the content script and the page script
+ * Requests travel over a MessageChannel whose port is handed to the page
+ * script once, in a handshake posted at document_start (ADR-009). The page
+ * script listens before any of YouTube's scripts run and stops the
+ * handshake, so none of them can see the port or send a port of their own.
+ *
+ * Wire format, every message carrying the protocol version:
+ *   client -> page: { version, id, type: 'REQUEST', method, options }
+ *                   { version, id, type: 'CANCEL' }
+ *   page -> client: { version, id, type: 'PROGRESS', progress }
+ *                   { version, id, type: 'RESULT', result }
+ *                   { version, id, type: 'ERROR', error: { code, message, details } }
+ */
+(function (root) {
+  /**
+   * Bumped whenever the wire format changes incompatibly
+   */
+  const PROTOCOL_VERSION = 1;
+
+  /**
+   * window message type that carries the port to the page script
+   */
+  const CONNECT_TYPE = 'TRANSCRIPT_CONTROL_CONNECT';
+
+  const DEFAULT_TIMEOUT_MS = 15000;
+
+  /**
+   * Create the requesting end of the channel
+   * Requests sent before the page end is served wait in the port's queue.
+   * @param {MessagePort} port
+   * @returns {{request: Function, close: Function}}
+   */
+  function createClient(port) {
+    const pending = new Map();
+    let nextId = 1;
+
+    port.onmessage = ({ data }) => {
+      const call = pending.get(data?.id);
+      if (!call) {
+        return;
+      }
+      if (data.version !== PROTOCOL_VERSION) {
+        call.reject(new TranscriptErrors.TranscriptError(
+          'PROTOCOL_MISMATCH',
+          `Page script speaks protocol ${data.version}, expected ${PROTOCOL_VERSION}`,
+          { expected: PROTOCOL_VERSION, received: data.version }
+        ));
+      } else if (data.type === 'PROGRESS') {
+        call.progress(data.progress);
+      } else if (data.type === 'RESULT') {
+        call.resolve(data.result);
+      } else if (data.type === 'ERROR') {
+        call.reject(TranscriptErrors.deserializeError(data.error));
+      }
+    };
+
+    /**
+     * Send a request and wait for its result
+     * Progress messages restart the timeout, so long jobs only fail when the
+     * page goes quiet. Timing out or aborting also cancels the page's work.
+     * @param {string} method - Request method, e.g. 'GET_TRANSCRIPT'
+     * @param {object} [options] - Request options
+     * @param {object} [settings]
+     * @param {number} [settings.timeoutMs] - Time without a message before giving up
+     * @param {Function} [settings.onProgress] - Called with each progress payload
+     * @param {AbortSignal} [settings.signal] - Cancels the request
+     * @returns {Promise<*>} Result; rejects with a TranscriptError
+     */
+    function request(method, options = {}, { timeoutMs = DEFAULT_TIMEOUT_MS, onProgress, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        let timer = null;
+
+        const finish = (settle, value) => {
+          clearTimeout(timer);
+          pending.delete(id);
+          signal?.removeEventListener('abort', onAbort);
+          settle(value);
+        };
+        const cancel = (error) => {
+          port.postMessage({ version: PROTOCOL_VERSION, id, type: 'CANCEL' });
+          finish(reject, error);
+        };
+        const armTimeout = () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => cancel(new TranscriptErrors.TranscriptError(
+            'TIMEOUT',
+            `No answer from the page after ${timeoutMs / 1000}s`,
+            { method, timeoutMs }
+          )), timeoutMs);
+        };
+        const onAbort = () => cancel(new TranscriptErrors.TranscriptError('CANCELLED', `${method} cancelled`, { method }));
+
+        if (signal?.aborted) {
+          reject(new TranscriptErrors.TranscriptError('CANCELLED', `${method} cancelled`, { method }));
+          return;
+        }
+        signal?.addEventListener('abort', onAbort);
+        pending.set(id, {
+          resolve: result => finish(resolve, result),
+          reject: error => finish(reject, error),
+          progress: (progress) => {
+            armTimeout();
+            onProgress?.(progress);
+          }
+        });
+
+        port.postMessage({ version: PROTOCOL_VERSION, id, type: 'REQUEST', method, options });
+        armTimeout();
+      });
+    }
+
+    /**
+     * Close the port; pending requests are left to time out
+     */
+    function close() {
+      port.close();
+    }
+
+    return { request, close };
+  }
+
+  /**
+   * Answer requests arriving on a port
+   * Each handler gets the request options and { signal, progress }: the
+   * signal aborts when the client cancels, and progress sends an update.
+   * Requests run concurrently; cancelled ones get no reply.
+   * @param {MessagePort} port
+   * @param {Object<string, Function>} handlers - Async handler per method
+   */
+  function serve(port, handlers) {
+    const active = new Map();
+
+    port.onmessage = async ({ data }) => {
+      const { version, id, type, method, options } = data || {};
+      if (type === 'CANCEL') {
+        active.get(id)?.abort();
+        return;
+      }
+      if (type !== 'REQUEST') {
+        return;
+      }
+
+      const reply = message => port.postMessage({ version: PROTOCOL_VERSION, id, ...message });
+      const handler = Object.hasOwn(handlers, method) ? handlers[method] : null;
+      if (version !== PROTOCOL_VERSION || !handler) {
+        const error = new TranscriptErrors.TranscriptError(
+          'PROTOCOL_MISMATCH',
+          version !== PROTOCOL_VERSION
+            ? `Content script speaks protocol ${version}, expected ${PROTOCOL_VERSION}`
+            : `Unknown method: ${method}`,
+          { expected: PROTOCOL_VERSION, received: version, method }
+        );
+        reply({ type: 'ERROR', error: TranscriptErrors.serializeError(error) });
+        return;
+      }
+
+      const controller = new AbortController();
+      active.set(id, controller);
+      try {
+        const result = await handler(options || {}, {
+          signal: controller.signal,
+          progress: (progress) => {
+            if (!controller.signal.aborted) {
+              reply({ type: 'PROGRESS', progress });
+            }
+          }
+        });
+        if (!controller.signal.aborted) {
+          reply({ type: 'RESULT', result });
+        }
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          reply({ type: 'ERROR', error: TranscriptErrors.serializeError(err) });
+        }
+      } finally {
+        active.delete(id);
+      }
+    };
+  }
+
+  /**
+   * Open a channel to the page script of a window
+   * Only safe before the page's own scripts run: the handshake must be the
+   * first message the page script sees
+   * @param {Window} target
+   * @returns {{request: Function, close: Function}} Client on this end
+   */
+  function connect(target) {
+    const channel = new MessageChannel();
+    target.postMessage({ type: CONNECT_TYPE, version: PROTOCOL_VERSION }, target.location.origin, [channel.port2]);
+    return createClient(channel.port1);
+  }
+
+  root.TranscriptChannel = {
+    PROTOCOL_VERSION,
+    CONNECT_TYPE,
+    createClient,
+    serve,
+    connect
+  };
+})(globalThis);
@@ -0,0 +1,164 @@
+/**
+ * Chunked output for tools with context limits
+ * Splits a transcript into parts that each fit a token or character
+ * budget, only ever breaking between cues (or paragraphs when reflowed),
+ * and labels each part "Part k/N, 01:02:03–01:15:40".
+ *
+ * Tokens are estimated at four characters each, which is close for English
+ * with the tokenizers chat tools use; set a character budget for exact limits.
+ */
+(function (root) {
+  const CHARS_PER_TOKEN = 4;
+
+  /**
+   * Measure text in a budget unit
+   * @param {string} text
+   * @param {'tokens'|'characters'} unit
+   * @returns {number}
+   */
+  function measure(text, unit) {
+    return unit === 'tokens' ? Math.ceil(text.length / CHARS_PER_TOKEN) : text.length;
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatHms(ms) {
+    return TranscriptFormats.formatClock(ms, '.').slice(0, 8);
+  }
+
+  /**
+   * Label line of a part
+   * @param {number} number - Part number, from 1
+   * @param {number} total - Parts in all
+   * @param {number} start - Part start in milliseconds
+   * @param {number} end - Part end in milliseconds
+   * @returns {string}
+   */
+  function partLabel(number, total, start, end) {
+    return `Part ${number}/${total}, ${formatHms(start)}–${formatHms(end)}`;
+  }
+
+  /**
+   * Split a transcript into labelled parts under a budget
+   * Parts are filled greedily with whole cues, measured as rendered, label
+   * included. A single cue larger than the budget becomes a part of its own.
+   * Each part's end is found by doubling and bisecting, so a long transcript
+   * costs a few renders of about a part's size per part, not one per cue.
+   * @param {object} transcript - Transcript object with cues and chapters
+   * @param {Function} render - Renders a transcript object (same shape, fewer cues) as text
+   * @param {object} options
+   * @param {number} options.size - Budget per part
+   * @param {'tokens'|'characters'} [options.unit] - Unit of the budget
+   * @param {number} [options.overlap] - Cues repeated from the end of the previous part
+   * @returns {Array<{text: string, start: number, end: number}>} Parts in order
+   */
+  function chunkTranscript(transcript, render, { size, unit = 'tokens', overlap = 0 }) {
+    const { cues } = transcript;
+    const chapters = transcript.chapters || [];
+    const lastEnd = cues.length > 0 ? TranscriptCues.cueEnd(cues[cues.length - 1]) : 0;
+    // Sized with the widest label any part could get, so numbering cannot push a part over
+    const labelCost = measure(`${partLabel(cues.length, cues.length, lastEnd, lastEnd)}\n\n`, unit);
+    const renderPart = part => render({
+      ...transcript,
+      cues: part,
+      chapters: chapters.filter(c => c.start >= part[0].start && c.start <= part[part.length - 1].start)
+    });
+    const fits = part => labelCost + measure(renderPart(part), unit) <= size;
+
+    const ranges = [];
+    let from = 0;
+    // Most transcripts fit whole, which takes a single render to tell
+    if (cues.length > 0 && fits(cues)) {
+      ranges.push([0, cues.length]);
+      from = cues.length;
+    }
+    while (from < cues.length) {
+      // Longer parts render longer, so the cues that fit form a prefix: double
+      // the part until it overflows, then bisect between the last two sizes
+      let to = from + 1;
+      let tooLong = cues.length + 1;
+      for (let step = 1; to + step <= cues.length; step *= 2) {
+        if (!fits(cues.slice(from, to + step))) {
+          tooLong = to + step;
+          break;
+        }
+        to += step;
+      }
+      while (tooLong - to > 1) {
+        const middle = (to + tooLong) >> 1;
+        if (fits(cues.slice(from, middle))) {
+          to = middle;
+        } else {
+          tooLong = middle;
+        }
+      }
+      ranges.push([from, to]);
+      if (to >= cues.length) {
+        break;
+      }
+      // Overlap never stops the next part from moving forward
+      from = Math.max(to - overlap, from + 1);
+    }
+
+    return ranges.map(([from, to], i) => {
+      const part = cues.slice(from, to);
+      const start = part[0].start;
+      const end = TranscriptCues.cueEnd(part[part.length - 1]);
+      return { text: `${partLabel(i + 1, ranges.length, start, end)}\n\n${renderPart(part)}`, start, end };
+    });
+  }
+
+  /**
+   * Pick the chunk options of a copy from the settings
+   * Copies sent only to an endpoint are never split: the endpoint takes the
+   * whole transcript, and nothing is delivered locally part by part
+   * @param {object} settings - Current settings
+   * @returns {{size: number, unit: string, overlap: number}|null} Null to copy whole
+   */
+  function chunkOptions({ chunked, chunkSize, chunkUnit, chunkOverlap, endpointUrl, endpointOnly }) {
+    if (!chunked || (endpointUrl && endpointOnly)) {
+      return null;
+    }
+    return { size: chunkSize, unit: chunkUnit, overlap: chunkOverlap };
+  }
+
+  /**
+   * Build the file name of one part, e.g. "… [id] part 2 of 5.txt"
+   * @param {string} fileName - File name of the whole transcript
+   * @param {number} number - Part number, from 1
+   * @param {number} total - Parts in all
+   * @returns {string}
+   */
+  function partFileName(fileName, number, total) {
+    return fileName.replace(/(\.[^.]+)$/, ` part ${number} of ${total}$1`);
+  }
+
+  /**
+   * Build what is delivered for one part of a chunked copy
+   * Only the first part carries the transcript object, along with the whole
+   * transcript's text, so an endpoint receives the whole transcript once
+   * @param {object} result - GET_TRANSCRIPT result with parts
+   * @param {number} index - Part index, from 0
+   * @returns {{transcript: string, fileName: string, mimeType: string, data?: object, endpointText?: string}}
+   */
+  function partDelivery(result, index) {
+    return {
+      transcript: result.parts[index].text,
+      ...(index === 0 && result.data ? { data: result.data, endpointText: result.transcript } : {}),
+      fileName: partFileName(result.fileName, index + 1, result.parts.length),
+      mimeType: result.mimeType
+    };
+  }
+
+  root.TranscriptChunks = {
+    CHARS_PER_TOKEN,
+    measure,
+    chunkTranscript,
+    chunkOptions,
+    partFileName,
+    partDelivery
+  };
+})(globalThis);
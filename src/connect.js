@@ -0,0 +1,10 @@
+/**
+ * Content script end of the page channel
+ * Runs at document_start, after the page-world scripts have started
+ * listening and before any of YouTube's scripts, so the handshake is the
+ * first message on the window (ADR-009). content.js, loaded later, sends
+ * its requests through the client left on TranscriptPageClient.
+ */
+(function (root) {
+  root.TranscriptPageClient = TranscriptChannel.connect(window);
+})(globalThis);
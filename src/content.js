@@ -15,18 +15,39 @@ function logError(...args) {
 
 log('Content script initializing...');
 
-// Load transcript module into page context
-const script = document.createElement('script');
-script.src = chrome.runtime.getURL('src/transcript.js');
-script.onload = () => {
-  log('transcript.js injected successfully');
-  script.remove();
-};
-script.onerror = (err) => {
-  logError('Failed to inject transcript.js:', err);
-};
-(document.head || document.documentElement).appendChild(script);
-log('transcript.js injection initiated');
+const { TranscriptError } = TranscriptErrors;
+
+/**
+ * Private channel to the page script, opened at document_start by connect.js (ADR-009)
+ */
+const pageClient = TranscriptPageClient;
+
+/**
+ * Send the page script the settings it applies itself
+ * Queued on the channel until the page script connects, so it arrives
+ * ahead of any request made after it
+ * @param {object} settings
+ */
+function configurePage({ hl, gl }) {
+  requestFromPage('CONFIGURE', { hl, gl }).catch(() => {
+    // Already logged by requestFromPage
+  });
+}
+
+TranscriptSettings.load().then(configurePage, (err) => {
+  logError('Could not load settings for the page script:', err.message);
+});
+
+// Settings apply live: most are read when an action starts, the rest are pushed here
+TranscriptSettings.onChange((keys, settings) => {
+  log('Settings changed:', keys.join(', '));
+  if (keys.includes('hl') || keys.includes('gl')) {
+    configurePage(settings);
+  }
+  if (keys.includes('silent') && settings.silent) {
+    setControlState(null);
+  }
+});
 
 /**
  * Control button element reference
@@ -37,11 +58,14 @@ let controlButton = null;
 /**
  * Create the transcript control button element
  * Styled to match YouTube's native player controls
+ * @param {string} [variant] - Styling variant for surfaces without player controls
  * @returns {HTMLButtonElement}
  */
-function createControlButton() {
+function createControlButton(variant) {
   const button = document.createElement('button');
-  button.className = 'ytp-button transcript-control-btn';
+  button.className = variant
+    ? `transcript-control-btn transcript-control-btn--${variant}`
+    : 'ytp-button transcript-control-btn';
   button.setAttribute('aria-label', 'Copy transcript');
   button.setAttribute('title', 'Copy transcript');
   button.setAttribute('data-transcript-control', 'true');
@@ -55,116 +79,1360 @@ function createControlButton() {
   `;
 
   button.addEventListener('click', handleClick);
+  button.addEventListener('contextmenu', handleContextMenu);
+  button.addEventListener('pointerdown', handlePointerDown);
+  for (const type of ['pointerup', 'pointerleave', 'pointercancel']) {
+    button.addEventListener(type, cancelLongPress);
+  }
   return button;
 }
 
+/**
+ * Tooltip for each control state (ADR-008)
+ */
+const STATE_TITLES = {
+  busy: 'Copying transcript… (click to cancel)',
+  success: 'Transcript copied',
+  error: 'Transcript not delivered'
+};
+
+/**
+ * How long a finished state stays on the control before it resets
+ */
+const STATE_RESET_MS = {
+  success: 1500,
+  error: 6000
+};
+
+let stateResetTimer = null;
+
+/**
+ * Show an operation state on the control button
+ * @param {string|null} state - 'busy', 'success', 'error', or null for idle
+ * @param {string} [reason] - Failure reason, or where a success went, shown in the tooltip
+ */
+function setControlState(state, reason) {
+  clearTimeout(stateResetTimer);
+  if (!controlButton) {
+    return;
+  }
+
+  const title = state === 'error' && reason
+    ? `${STATE_TITLES.error}: ${reason}`
+    : (state === 'success' && reason) || STATE_TITLES[state] || idleTitle();
+  controlButton.setAttribute('title', title);
+  controlButton.setAttribute('aria-busy', String(state === 'busy'));
+  if (state) {
+    controlButton.dataset.state = state;
+  } else {
+    delete controlButton.dataset.state;
+  }
+
+  if (STATE_RESET_MS[state]) {
+    stateResetTimer = setTimeout(() => setControlState(null), STATE_RESET_MS[state]);
+  }
+}
+
+/**
+ * Tooltip of the idle control, naming the next part of a chunked copy
+ * @returns {string}
+ */
+function idleTitle() {
+  return chunkedCopy
+    ? `Copy part ${chunkedCopy.next + 1}/${chunkedCopy.result.parts.length}`
+    : 'Copy transcript';
+}
+
+/**
+ * Get the state reporter for an operation
+ * With the silent setting on, states are only logged (ADR-002)
+ * @param {boolean} silent
+ * @returns {Function} setControlState or a no-op
+ */
+function stateReporter(silent) {
+  return silent ? () => {} : setControlState;
+}
+
+/**
+ * Log a failed operation with its error code
+ * A timeout means the page script never answered, which is a different
+ * problem from an extraction that ran and failed
+ * @param {string} operation - Name of the failed operation
+ * @param {Error} err - TranscriptError, or any other error
+ */
+function logFailure(operation, err) {
+  const { code, details } = TranscriptErrors.serializeError(err);
+  if (code === 'CANCELLED') {
+    log(`${operation} cancelled`);
+  } else if (code === 'TIMEOUT') {
+    logError(`${operation} timed out: the page script did not answer (not loaded, or still working)`, details);
+  } else {
+    logError(`${operation} failed [${code}]:`, err.message, details);
+  }
+}
+
+/**
+ * Controller of the copy in progress, if any
+ * Only one copy runs at a time: starting another cancels it, so two copies
+ * never race to the clipboard
+ * @type {AbortController|null}
+ */
+let activeCopy = null;
+
+/**
+ * Start a copy operation, cancelling the one in progress
+ * @returns {AbortController}
+ */
+function startCopy() {
+  activeCopy?.abort();
+  activeCopy = new AbortController();
+  return activeCopy;
+}
+
+/**
+ * Report the end of a copy operation
+ * Superseded copies stay quiet so they do not overwrite the current state
+ * @param {AbortController} copy - Controller from startCopy
+ * @param {Function} report - State reporter for the operation
+ * @param {Error} [err] - Failure, if the copy failed
+ * @param {string} [outcome] - Where the transcript went, from deliver()
+ */
+function finishCopy(copy, report, err, outcome) {
+  if (activeCopy !== copy) {
+    return;
+  }
+  activeCopy = null;
+  if (!err) {
+    report('success', outcome);
+  } else if (err.code === 'CANCELLED') {
+    report(null);
+  } else {
+    report('error', err.message);
+  }
+}
+
+/**
+ * How long the control must be held to open the transcript viewer
+ */
+const LONG_PRESS_MS = 500;
+
+let longPressTimer = null;
+
+/**
+ * Pointer whose long press opened the viewer, until its click arrives
+ * Keyboard clicks and clicks by other pointers never match it, so a press
+ * released off the control cannot swallow a later click
+ * @type {number|null}
+ */
+let longPressPointer = null;
+
+/**
+ * Start timing a long press on the control
+ * @param {PointerEvent} event
+ */
+function handlePointerDown(event) {
+  if (event.button !== 0) {
+    return;
+  }
+  longPressPointer = null;
+  clearTimeout(longPressTimer);
+  longPressTimer = setTimeout(() => {
+    longPressPointer = event.pointerId;
+    log('Long press, toggling transcript viewer');
+    toggleViewer();
+  }, LONG_PRESS_MS);
+}
+
+/**
+ * Stop timing a long press; a cancelled pointer gets no click to end it
+ * @param {PointerEvent} event
+ */
+function cancelLongPress(event) {
+  clearTimeout(longPressTimer);
+  if (event.type === 'pointercancel') {
+    longPressPointer = null;
+  }
+}
+
 /**
  * Handle control button click
- * Extracts transcript and copies to clipboard silently
+ * Extracts transcript and copies to clipboard, or copies the next part of a
+ * chunked copy; clicking while busy cancels.
+ * Shift+click toggles the transcript viewer, and the click that ends a long
+ * press is ignored as the press already did.
+ * @param {MouseEvent} [event]
  */
-async function handleClick() {
+function handleClick(event) {
+  const endsLongPress = longPressPointer !== null && event?.pointerId === longPressPointer;
+  longPressPointer = null;
+  if (endsLongPress) {
+    return;
+  }
+  if (event?.shiftKey) {
+    log('Shift+click, toggling transcript viewer');
+    toggleViewer();
+    return;
+  }
+  if (activeCopy) {
+    log('Button clicked while a copy is running, cancelling it');
+    activeCopy.abort();
+    return;
+  }
   log('Button clicked, requesting transcript...');
+  copyOrContinue();
+}
+
+/**
+ * Chunked copy in progress: the extracted parts and the next one to deliver
+ * Cleared after the last part, on a new copy and on navigation
+ * @type {{result: object, format: string, next: number}|null}
+ */
+let chunkedCopy = null;
+
+/**
+ * Copy the next part of a chunked copy, or the transcript when none is in progress
+ */
+function copyOrContinue() {
+  if (chunkedCopy) {
+    copyNextPart();
+  } else {
+    copyTranscript();
+  }
+}
+
+/**
+ * Deliver the next part of the chunked copy
+ * The endpoint gets the whole transcript once, along with the first part
+ * @param {object} session - The chunked copy
+ * @param {object} settings - Current settings
+ * @returns {Promise<string>} Where the part went and what a click does next
+ */
+async function deliverNextPart(session, settings) {
+  const { result, format } = session;
+  const total = result.parts.length;
+  const number = session.next + 1;
+  const outcome = await deliver(TranscriptChunks.partDelivery(result, session.next), settings, format);
+  session.next = number;
+  log('Delivered part', number, 'of', total);
+  if (number === total && chunkedCopy === session) {
+    chunkedCopy = null;
+  }
+  return number < total
+    ? `${outcome} (part ${number}/${total}). Click again for part ${number + 1}`
+    : `${outcome} (last part, ${number}/${total})`;
+}
+
+/**
+ * Copy the next part of the chunked copy in progress
+ */
+async function copyNextPart() {
+  const session = chunkedCopy;
+  const copy = startCopy();
+  let report = stateReporter(false);
+  try {
+    const settings = await TranscriptSettings.load();
+    report = stateReporter(settings.silent);
+    const outcome = await deliverNextPart(session, settings);
+    finishCopy(copy, report, null, outcome);
+  } catch (err) {
+    logFailure('copyNextPart', err);
+    finishCopy(copy, report, err);
+  }
+}
+
+/**
+ * Extract transcript and deliver it to the clipboard, a file, or both
+ * Track choice follows the stored preference order unless a track id is given.
+ * Nothing is delivered unless extraction succeeds, so a failure never
+ * leaves a partial or empty transcript to paste. With chunked copies on, a
+ * transcript over the budget is split into parts and only the first is
+ * delivered; later clicks deliver the rest.
+ * @param {object} [options] - Extra GET_TRANSCRIPT options, e.g. { trackId }, { videoId } or { range }
+ */
+async function copyTranscript(options = {}) {
+  const copy = startCopy();
+  chunkedCopy = null;
+  let report = stateReporter(false);
   try {
-    // Request transcript from page script
-    const transcript = await requestTranscript();
-    if (transcript) {
-      log('Transcript received, length:', transcript.length);
-      // Copy to clipboard silently
-      await navigator.clipboard.writeText(transcript);
-      log('Transcript copied to clipboard successfully');
+    const settings = await TranscriptSettings.load();
+    const { trackPreference, reflow, chapters, header, silent } = settings;
+    const format = TranscriptFormats.resolveTimestamps(settings.format, settings.timestamps);
+    const template = chosenTemplate(settings);
+    const chunks = TranscriptChunks.chunkOptions(settings);
+    report = stateReporter(silent);
+    report('busy');
+    // Request transcript from page script, with linked HTML for rich paste targets,
+    // the transcript object when an endpoint wants it and the whole one for the library
+    const result = await requestTranscript(
+      {
+        trackPreference, reflow, chapters, format, header, html: true, data: !!settings.endpointUrl, archive: settings.library,
+        ...translationOptions(settings),
+        ...(template ? { template } : {}),
+        ...(chunks ? { chunks } : {}),
+        ...options
+      },
+      copy.signal
+    );
+    log('Transcript received, length:', result.transcript.length, '- html:', !!result.html, '- parts:', result.parts?.length ?? 1);
+    if (result.archive) {
+      saveToLibrary(result.archive, settings);
+    }
+    const deliveryFormat = template ? `template:${template.name}` : format;
+    let outcome;
+    if (result.parts?.length > 1) {
+      chunkedCopy = { result, format: deliveryFormat, next: 0 };
+      outcome = await deliverNextPart(chunkedCopy, settings);
+    } else {
+      outcome = await deliver(result, settings, deliveryFormat);
+    }
+    finishCopy(copy, report, null, outcome);
+  } catch (err) {
+    logFailure('copyTranscript', err);
+    finishCopy(copy, report, err);
+  }
+}
+
+/**
+ * Build the page-script options for bilingual transcripts
+ * @param {object} settings - Current settings
+ * @returns {{translateTo?: string, translationLayout?: string}} Nothing when bilingual output is off
+ */
+function translationOptions({ bilingual, translationLanguage, translationLayout }) {
+  return bilingual ? { translateTo: translationLanguage, translationLayout } : {};
+}
+
+/**
+ * Find the template chosen for copies
+ * A chosen template that has since been deleted falls back to the format
+ * @param {object} settings - Current settings
+ * @returns {{name: string, body: string, extension: string}|null} Template, or null to use the output format
+ */
+function chosenTemplate({ template, templates }) {
+  return (template && templates.find(t => t.name === template)) || null;
+}
+
+/**
+ * A/B marks for copying part of the current video
+ * Kept per video: marks set on another video are ignored
+ */
+let rangeMarks = { videoId: null, start: null, end: null };
+
+/**
+ * Read the playhead of this frame's video
+ * @returns {number|null} Current time in milliseconds, or null without a video
+ */
+function getPlayhead() {
+  const video = document.querySelector('video');
+  return video ? Math.round(video.currentTime * 1000) : null;
+}
+
+/**
+ * Get the A/B marks of the current video
+ * @returns {{start: number|null, end: number|null}}
+ */
+function getRangeMarks() {
+  const videoId = TranscriptUrls.parseVideoId(window.location.href);
+  return rangeMarks.videoId === videoId ? rangeMarks : { videoId, start: null, end: null };
+}
+
+/**
+ * Set the next A/B mark at the playhead
+ * The first mark is the start, the second the end; a third starts over.
+ * Marks set out of order are swapped so the range always runs forward.
+ */
+function markRange() {
+  const playhead = getPlayhead();
+  if (playhead === null) {
+    logError('No video to mark');
+    return;
+  }
+
+  const marks = getRangeMarks();
+  if (marks.start === null || marks.end !== null) {
+    rangeMarks = { videoId: marks.videoId, start: playhead, end: null };
+  } else {
+    rangeMarks = { videoId: marks.videoId, start: Math.min(marks.start, playhead), end: Math.max(marks.start, playhead) };
+  }
+  log('Range marks:', rangeMarks.start, '-', rangeMarks.end);
+}
+
+/**
+ * Turn a named range into the GET_TRANSCRIPT range option
+ * @param {string} name - 'playhead', 'last' or 'marks'
+ * @param {object} settings - Loaded settings
+ * @returns {object|null} Range option, or null when the marks are not both set
+ */
+function rangeOption(name, settings) {
+  if (name === 'playhead') {
+    return { from: 'playhead' };
+  }
+  if (name === 'last') {
+    return { lastMinutes: settings.rangeMinutes };
+  }
+  const { start, end } = getRangeMarks();
+  return start !== null && end !== null ? { start, end } : null;
+}
+
+/**
+ * Copy part of the current video's transcript
+ * @param {string} name - Named range, see rangeOption
+ */
+async function copyRange(name) {
+  let settings;
+  try {
+    settings = await TranscriptSettings.load();
+  } catch (err) {
+    logFailure('copyRange', err);
+    stateReporter(false)('error', `Settings not loaded: ${err.message}`);
+    return;
+  }
+  const range = rangeOption(name, settings);
+  if (!range) {
+    logError('Set both range marks before copying between them');
+    stateReporter(settings.silent)('error', 'Set a start and an end mark first');
+    return;
+  }
+  log('Copying range:', name);
+  copyTranscript({ range });
+}
+
+/**
+ * Write text to the clipboard, optionally with an HTML flavour
+ * Rich paste targets (Docs, Notion, email) take the HTML, everything else the text.
+ * The async clipboard API rejects when the document is not focused, which is
+ * the case after a toolbar click or in an embedded player; the clipboardWrite
+ * permission lets execCommand copy regardless
+ * @param {string} text
+ * @param {string} [html]
+ * @returns {Promise<void>}
+ */
+async function writeClipboard(text, html) {
+  try {
+    if (html) {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })]);
     } else {
-      logError('Received empty or null transcript');
+      await navigator.clipboard.writeText(text);
+    }
+    return;
+  } catch (err) {
+    log('Clipboard API rejected, falling back to execCommand:', err.message);
+  }
+
+  // The copy event lets execCommand put both flavours on the clipboard
+  const onCopy = (event) => {
+    event.clipboardData.setData('text/plain', text);
+    if (html) {
+      event.clipboardData.setData('text/html', html);
+    }
+    event.preventDefault();
+  };
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.addEventListener('copy', onCopy, true);
+  const copied = document.execCommand('copy');
+  document.removeEventListener('copy', onCopy, true);
+  textarea.remove();
+  if (!copied) {
+    throw new TranscriptError('CLIPBOARD_REJECTED', 'Clipboard write rejected');
+  }
+}
+
+/**
+ * Save text as a file in the browser's downloads
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+function downloadFile(text, fileName, mimeType) {
+  TranscriptDownload.saveText(text, fileName, mimeType);
+  log('Saved as', fileName, '- length:', text.length);
+}
+
+/**
+ * Send a transcript to the configured endpoint
+ * The background service worker does the POST and its retries, as requests
+ * from here would be bound by the YouTube page's origin
+ * @param {string} url - Endpoint URL
+ * @param {object} data - Transcript object
+ * @param {string} text - Transcript serialized in the output format
+ * @param {string} format - Output format name
+ * @param {number} timeoutSeconds - Limit per attempt
+ * @returns {Promise<{status: number, attempts: number}>} Rejects with ENDPOINT_FAILED
+ */
+async function sendToEndpoint(url, data, text, format, timeoutSeconds) {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'SEND_TO_ENDPOINT', url, transcript: data, text, format, timeoutMs: timeoutSeconds * 1000 });
+  } catch (err) {
+    throw new TranscriptError('ENDPOINT_FAILED', `Endpoint delivery failed: ${err.message}`, { url });
+  }
+  if (!response?.ok) {
+    throw TranscriptErrors.deserializeError(response?.error || 'No answer from the background worker');
+  }
+  log('Transcript sent to endpoint, status:', response.status, '- attempts:', response.attempts);
+  return response;
+}
+
+/**
+ * Keep a copied transcript in the local library
+ * The background service worker writes it, as this script's IndexedDB
+ * belongs to the YouTube page. Failures are logged and never fail the copy.
+ * @param {object} transcript - Whole transcript object
+ * @param {object} settings - Current settings (libraryMaxEntries, libraryMaxDays)
+ */
+async function saveToLibrary(transcript, { libraryMaxEntries, libraryMaxDays }) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_TO_LIBRARY',
+      transcript,
+      limits: { maxEntries: libraryMaxEntries, maxDays: libraryMaxDays }
+    });
+    if (!response?.ok) {
+      throw TranscriptErrors.deserializeError(response?.error || 'No answer from the background worker');
+    }
+    log('Transcript saved to library:', response.id, '- pruned:', response.pruned);
+  } catch (err) {
+    logError('Could not save transcript to library:', err.message);
+  }
+}
+
+/**
+ * Deliver a transcript by the chosen delivery settings
+ * With an endpoint set, the transcript object is sent there as well as to
+ * the delivery target, or instead of it with endpointOnly. Results without
+ * a transcript object, such as playlists, only use the delivery target.
+ * @param {object} result
+ * @param {string} result.transcript - Text to deliver
+ * @param {string} [result.html] - HTML flavour for the clipboard
+ * @param {object} [result.data] - Transcript object for the endpoint
+ * @param {string} [result.endpointText] - Text for the endpoint when it differs from transcript, e.g. the whole transcript sent with its first part
+ * @param {string} result.fileName - Name for the downloaded file
+ * @param {string} result.mimeType - Type of the downloaded file
+ * @param {object} settings - Current settings (delivery, endpointUrl, endpointOnly, timeoutSeconds)
+ * @param {string} format - Output format name, recorded in the endpoint payload
+ * @returns {Promise<string>} Where the transcript went, for the control's tooltip
+ */
+async function deliver(result, { delivery, endpointUrl, endpointOnly, timeoutSeconds }, format) {
+  if (!endpointUrl || !result.data) {
+    return deliverLocally(result, delivery);
+  }
+  const { host } = new URL(endpointUrl);
+  // Started first so retries run while the clipboard is written
+  const sending = sendToEndpoint(endpointUrl, result.data, result.endpointText ?? result.transcript, format, timeoutSeconds).then(() => null, err => err);
+  const outcome = endpointOnly ? null : await deliverLocally(result, delivery);
+  const failure = await sending;
+  if (failure) {
+    throw outcome ? new TranscriptError(failure.code, `${failure.message}. ${outcome}`, failure.details) : failure;
+  }
+  return outcome ? `${outcome}; sent to ${host}` : `Transcript sent to ${host}`;
+}
+
+/**
+ * Deliver a transcript to the clipboard, a file, or both
+ * A rejected clipboard write falls back to a download, so the transcript
+ * is never lost
+ * @param {object} result - See deliver()
+ * @param {string} delivery - 'clipboard', 'download' or 'both'
+ * @returns {Promise<string>} Where the transcript went, for the control's tooltip
+ */
+async function deliverLocally({ transcript, html, fileName, mimeType }, delivery) {
+  if (delivery === 'download') {
+    downloadFile(transcript, fileName, mimeType);
+    return `Transcript saved as ${fileName}`;
+  }
+  try {
+    await writeClipboard(transcript, html);
+    log('Transcript copied to clipboard successfully');
+  } catch (err) {
+    if (err.code !== 'CLIPBOARD_REJECTED') {
+      throw err;
     }
-    // No feedback per design spec (ADR-002)
+    logError('Clipboard write rejected, saving as a file instead');
+    downloadFile(transcript, fileName, mimeType);
+    return `Clipboard unavailable, transcript saved as ${fileName}`;
+  }
+  if (delivery === 'both') {
+    downloadFile(transcript, fileName, mimeType);
+    return `Transcript copied and saved as ${fileName}`;
+  }
+  return STATE_TITLES.success;
+}
+
+/**
+ * Send a request to the page script over the private channel
+ * Errors reported by the page reject with their TranscriptError; no answer
+ * in time rejects with TIMEOUT, and aborting with CANCELLED.
+ * @param {string} method - Request method (GET_TRANSCRIPT, GET_CUES, LIST_TRACKS, GET_PLAYLIST, PREFETCH, CONFIGURE)
+ * @param {object} [options] - Request options
+ * @param {object} [wait] - Timeout, progress callback and abort signal
+ * @param {number} [wait.timeoutMs] - Defaults to the timeoutSeconds setting
+ * @returns {Promise<object>} Result
+ */
+async function requestFromPage(method, options = {}, { timeoutMs, ...wait } = {}) {
+  log('Sending', method, 'request');
+  try {
+    const timeout = timeoutMs ?? (await TranscriptSettings.load()).timeoutSeconds * 1000;
+    const result = await pageClient.request(method, options, { ...wait, timeoutMs: timeout });
+    log('Received', method, 'result');
+    return result;
   } catch (err) {
-    logError('handleClick failed:', err.message);
-    // Silent failure per design spec (ADR-002)
+    logError(method, 'error:', err.code, err.message);
+    throw err;
   }
 }
 
 /**
- * Request transcript from page script via message passing
- * The transcript.js page script listens for GET_TRANSCRIPT messages
- * and responds with TRANSCRIPT_RESULT
- * @returns {Promise<string|null>}
+ * Request transcript from page script
+ * @param {object} [options] - GET_TRANSCRIPT options (format, reflow, chapters, range, html, data, archive, chunks, template, header, videoId, trackId, trackPreference, translateTo, translationLayout)
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{transcript: string, html?: string, data?: object, fileName: string, mimeType: string}>}
  */
-function requestTranscript() {
-  return new Promise((resolve) => {
-    const messageId = `transcript-${Date.now()}`;
-    log('Sending GET_TRANSCRIPT message with id:', messageId);
+async function requestTranscript(options, signal) {
+  const result = await requestFromPage('GET_TRANSCRIPT', options, { signal });
+  log('Transcript extraction successful, length:', result.transcript?.length);
+  const failed = result.extraction?.attempts.filter(a => !a.ok) || [];
+  log('Extracted via strategy:', result.extraction?.strategy, result.extraction?.cached ? '(cached)' : '', '- failed before it:', failed.length);
+  failed.forEach(a => logError(`Strategy ${a.strategy} failed [${a.code}]:`, a.reason));
+  if (!result.transcript) {
+    throw new TranscriptError('EMPTY_TRACK', 'Transcript is empty');
+  }
+  return { transcript: result.transcript, html: result.html, data: result.data, parts: result.parts, fileName: result.fileName, mimeType: result.mimeType };
+}
 
-    const handler = (event) => {
-      if (event.data?.type === 'TRANSCRIPT_RESULT' && event.data?.messageId === messageId) {
-        log('Received TRANSCRIPT_RESULT response');
-        window.removeEventListener('message', handler);
-        if (event.data.error) {
-          logError('Transcript extraction error:', event.data.error);
-          resolve(null);
-        } else {
-          log('Transcript extraction successful, length:', event.data.transcript?.length);
-          resolve(event.data.transcript);
+/**
+ * Request the available caption tracks from page script
+ * @param {object} [options] - LIST_TRACKS options (trackPreference)
+ * @returns {Promise<{tracks: Array, selectedId: string|null}>}
+ */
+function requestTracks(options) {
+  return requestFromPage('LIST_TRACKS', options);
+}
+
+/**
+ * Start extracting the current video in the background
+ * The page script caches the result, so the next copy with the same track
+ * preference is answered without network requests. Failures are only logged
+ * and never cached, so the copy retries them.
+ */
+async function prefetchTranscript() {
+  const videoId = TranscriptUrls.parseVideoId(window.location.href);
+  // Embeds are skipped: a page can hold many, and most are never copied
+  if (!videoId || window.top !== window) {
+    return;
+  }
+  try {
+    const settings = await TranscriptSettings.load();
+    if (!settings.prefetch) {
+      return;
+    }
+    log('Prefetching transcript for', videoId);
+    const { translateTo } = translationOptions(settings);
+    const { strategy, cached } = await requestFromPage('PREFETCH', { videoId, trackPreference: settings.trackPreference, translateTo });
+    log('Prefetched', videoId, 'via', strategy, cached ? '(already cached)' : '');
+  } catch (err) {
+    log('Prefetch failed for', videoId, `[${err.code}]:`, err.message);
+  }
+}
+
+/**
+ * Extract every video of the current playlist and copy the combined document
+ * Progress is shown on the toolbar badge by the background service worker
+ */
+async function copyPlaylist() {
+  const listId = TranscriptUrls.parsePlaylistId(window.location.href);
+  if (!listId) {
+    logError('No playlist on this page');
+    return;
+  }
+
+  log('Copying playlist:', listId);
+  const copy = startCopy();
+  let report = stateReporter(false);
+  try {
+    const settings = await TranscriptSettings.load();
+    const { trackPreference, reflow, chapters, playlistConcurrency, timeoutSeconds, silent } = settings;
+    const outputFormat = TranscriptFormats.resolveTimestamps(settings.format, settings.timestamps);
+    report = stateReporter(silent);
+    report('busy');
+    const result = await requestFromPage(
+      'GET_PLAYLIST',
+      { listId, trackPreference, reflow, chapters, format: outputFormat, concurrency: playlistConcurrency },
+      {
+        // Per video, not for the whole run: every progress message restarts it
+        timeoutMs: Math.max(60000, timeoutSeconds * 1000),
+        signal: copy.signal,
+        onProgress: ({ done, total, videoId, ok }) => {
+          log(`Playlist progress ${done}/${total}:`, videoId, ok ? 'ok' : 'no transcript');
+          reportPlaylistProgress(done, total);
         }
       }
-    };
+    );
+    const { succeeded, total, failed } = result.summary;
+    log('Playlist extracted:', succeeded, 'of', total, 'videos, length:', result.transcript.length);
+    failed.forEach(({ videoId, error, code }) => logError('No transcript for', videoId, `[${code}]:`, error));
+    const { extension, mimeType } = TranscriptFormats.getFormat(outputFormat);
+    const outcome = await deliver({
+      transcript: result.transcript,
+      fileName: TranscriptFormats.fileName({ id: listId, title: 'Playlist' }, extension),
+      mimeType
+    }, settings, outputFormat);
+    finishCopy(copy, report, null, outcome);
+  } catch (err) {
+    logFailure('copyPlaylist', err);
+    finishCopy(copy, report, err);
+  } finally {
+    reportPlaylistProgress(null);
+  }
+}
+
+/**
+ * Forward playlist progress to the background service worker for the badge
+ * @param {number|null} done - Videos finished, or null when the run is over
+ * @param {number} [total] - Videos in the playlist
+ */
+function reportPlaylistProgress(done, total) {
+  chrome.runtime.sendMessage({ type: 'PLAYLIST_PROGRESS', done, total }).catch(() => {
+    // Worker unavailable; progress is still logged
+  });
+}
+
+/**
+ * Open transcript viewer and the video it shows
+ * @type {{panel: object, videoId: string|null}|null}
+ */
+let viewer = null;
+
+/**
+ * Open the transcript viewer over the player
+ * The panel shows at once and fills in when the page script answers; the
+ * transcript comes from the same extraction and cache as a copy.
+ */
+async function openViewer() {
+  closeViewer();
+  closeControlMenu();
+  const videoId = TranscriptUrls.parseVideoId(window.location.href);
+  const player = controlButton?.closest('.html5-video-player');
+  let transcript = null;
+  const panel = TranscriptViewer.createPanel({
+    video: player?.querySelector('video') || document.querySelector('video'),
+    formatTime: TranscriptFormats.formatTimestamp,
+    onCopy: cues => copyViewerLines(transcript, cues),
+    onClose: () => {
+      viewer = null;
+    }
+  });
+
+  // Over the video like the control menu; Shorts and mobile have no player box to sit in
+  if (player) {
+    player.appendChild(panel.element);
+  } else {
+    panel.element.classList.add('transcript-viewer--floating');
+    document.body.appendChild(panel.element);
+  }
+  viewer = { panel, videoId };
+  log('Transcript viewer opened for', videoId);
+
+  try {
+    const settings = await TranscriptSettings.load();
+    const { translateTo } = translationOptions(settings);
+    transcript = await requestFromPage('GET_CUES', { trackPreference: settings.trackPreference, reflow: settings.reflow, chapters: settings.chapters, translateTo });
+    if (viewer?.panel === panel) {
+      panel.show(transcript);
+      log('Transcript viewer showing', transcript.cues.length, 'cues');
+    }
+  } catch (err) {
+    logFailure('openViewer', err);
+    panel.fail(`Transcript not available: ${err.message}`);
+  }
+}
+
+/**
+ * Close the transcript viewer if open
+ */
+function closeViewer() {
+  viewer?.panel.destroy();
+  viewer = null;
+}
+
+function toggleViewer() {
+  if (viewer) {
+    closeViewer();
+  } else {
+    openViewer();
+  }
+}
+
+/**
+ * Copy the lines selected in the transcript viewer
+ * Uses the chosen template, or the chosen format and header. Selections are
+ * copied without chapter headings, and the header records the span of the
+ * lines as the range.
+ * @param {object|null} transcript - Transcript shown in the viewer
+ * @param {Array} cues - Selected cues, in order
+ */
+async function copyViewerLines(transcript, cues) {
+  let settings;
+  try {
+    settings = await TranscriptSettings.load();
+  } catch (err) {
+    logFailure('copyViewerLines', err);
+    stateReporter(false)('error', `Settings not loaded: ${err.message}`);
+    return;
+  }
+  const { header, silent, translationLayout } = settings;
+  const format = TranscriptFormats.resolveTimestamps(settings.format, settings.timestamps);
+  const report = stateReporter(silent);
+  if (!transcript || cues.length === 0) {
+    logError('No lines selected in the transcript viewer');
+    report('error', 'Select lines in the transcript viewer first');
+    return;
+  }
+  try {
+    const last = cues[cues.length - 1];
+    const selection = { ...transcript, cues, chapters: [], range: { start: cues[0].start, end: last.start + (last.duration || 0) } };
+    const template = chosenTemplate(settings);
+    const { rich, extension, mimeType } = template
+      ? { rich: false, extension: template.extension, mimeType: TranscriptTemplates.mimeType(template.extension) }
+      : TranscriptFormats.getFormat(format);
+    const text = template
+      ? TranscriptTemplates.render(template.body, selection)
+      : TranscriptFormats.serialize(selection, format, { header, translationLayout });
+    const { title, channel } = transcript.details || {};
+    const outcome = await deliver({
+      transcript: text,
+      html: rich ? TranscriptFormats.toHtml(selection, { header, translationLayout }) : undefined,
+      data: selection,
+      fileName: TranscriptFormats.fileName({ id: transcript.videoId, title, channel }, extension),
+      mimeType
+    }, settings, template ? `template:${template.name}` : format);
+    log('Delivered', cues.length, 'viewer lines');
+    report('success', outcome);
+  } catch (err) {
+    logFailure('copyViewerLines', err);
+    report('error', err.message);
+  }
+}
 
-    window.addEventListener('message', handler);
+/**
+ * Open control menu element reference
+ * @type {HTMLElement|null}
+ */
+let controlMenu = null;
 
-    // Send request to page script (transcript.js listens for this)
-    window.postMessage({ type: 'GET_TRANSCRIPT', messageId }, '*');
+/**
+ * Handle right-click on the control button
+ * Opens the control menu instead of the browser context menu
+ * @param {MouseEvent} event
+ */
+function handleContextMenu(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  if (controlMenu) {
+    closeControlMenu();
+    return;
+  }
+  openControlMenu();
+}
 
-    // Timeout after 15 seconds
-    setTimeout(() => {
-      logError('Transcript request timed out after 15s');
-      window.removeEventListener('message', handler);
-      resolve(null);
-    }, 15000);
+/**
+ * Create a menu section title
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createMenuTitle(text) {
+  const title = document.createElement('div');
+  title.className = 'transcript-control-menu-title';
+  title.textContent = text;
+  return title;
+}
+
+/**
+ * Create a keyboard-accessible menu item
+ * A setting the item fails to save, e.g. over the sync write rate, is
+ * reported on the control
+ * @param {string} label - Item text
+ * @param {object} options
+ * @param {string} [options.role] - ARIA role: menuitem, menuitemradio or menuitemcheckbox
+ * @param {boolean} [options.checked] - Checked state for radio and checkbox items
+ * @param {Function} options.onSelect - Called when the item is chosen
+ * @returns {HTMLElement}
+ */
+function createMenuItem(label, { role = 'menuitem', checked, onSelect: select }) {
+  const onSelect = async () => {
+    try {
+      await select();
+    } catch (err) {
+      logFailure(`Menu item "${label}"`, err);
+      stateReporter(false)('error', `Not saved: ${err.message}`);
+    }
+  };
+  const item = document.createElement('div');
+  item.className = 'transcript-control-menu-item';
+  item.setAttribute('role', role);
+  if (checked !== undefined) {
+    item.setAttribute('aria-checked', String(checked));
+  }
+  item.tabIndex = 0;
+  item.textContent = label;
+
+  item.addEventListener('click', onSelect);
+  item.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      onSelect();
+    }
   });
+  return item;
+}
+
+/**
+ * Metadata header styles offered in the control menu
+ */
+const HEADER_STYLES = [
+  ['none', 'None'],
+  ['text', 'Plain text'],
+  ['yaml', 'YAML front matter']
+];
+
+/**
+ * Build the control menu
+ * Picking a track copies its transcript and moves it to the front of the
+ * preference order; option items toggle the stored setting
+ * @param {Array} tracks - Track infos from the page script
+ * @param {string|null} selectedId - Track the preference order currently selects
+ * @param {object} settings - Current settings
+ * @returns {HTMLElement}
+ */
+function createControlMenu(tracks, selectedId, settings) {
+  const menu = document.createElement('div');
+  menu.className = 'transcript-control-menu';
+  menu.setAttribute('role', 'menu');
+  menu.setAttribute('aria-label', 'Transcript options');
+
+  if (tracks.length > 0) {
+    menu.appendChild(createMenuTitle('Caption track'));
+  }
+  for (const track of tracks) {
+    const label = track.kind === 'asr' && !/auto/i.test(track.name)
+      ? `${track.name} (auto-generated)`
+      : track.name;
+    menu.appendChild(createMenuItem(label, {
+      role: 'menuitemradio',
+      checked: track.id === selectedId,
+      onSelect: async () => {
+        closeControlMenu();
+        const preference = await TranscriptSettings.promoteTrackPreference(`${track.languageCode}:${track.kind}`);
+        log('Track chosen:', track.id, '- preference now:', preference.join(' > '));
+        copyTranscript({ trackId: track.id });
+      }
+    }));
+  }
+
+  if (TranscriptUrls.parsePlaylistId(window.location.href)) {
+    menu.appendChild(createMenuTitle('Playlist'));
+    menu.appendChild(createMenuItem('Copy all transcripts', {
+      onSelect: () => {
+        closeControlMenu();
+        copyPlaylist();
+      }
+    }));
+  }
+
+  if (chunkedCopy) {
+    const total = chunkedCopy.result.parts.length;
+    menu.appendChild(createMenuTitle('Transcript parts'));
+    menu.appendChild(createMenuItem(`Copy part ${chunkedCopy.next + 1}/${total}`, {
+      onSelect: () => {
+        closeControlMenu();
+        copyNextPart();
+      }
+    }));
+    menu.appendChild(createMenuItem('Stop copying parts', {
+      onSelect: () => {
+        closeControlMenu();
+        chunkedCopy = null;
+        setControlState(null);
+        log('Chunked copy stopped');
+      }
+    }));
+  }
+
+  menu.appendChild(createMenuTitle('Transcript viewer'));
+  menu.appendChild(createMenuItem(viewer ? 'Close transcript viewer' : 'Open transcript viewer (Shift+click)', {
+    onSelect: () => {
+      closeControlMenu();
+      toggleViewer();
+    }
+  }));
+
+  const { start, end } = getRangeMarks();
+  const formatMark = (time) => TranscriptFormats.formatTimestamp(time);
+  menu.appendChild(createMenuTitle('Time range'));
+  menu.appendChild(createMenuItem('Copy from playhead', {
+    onSelect: () => {
+      closeControlMenu();
+      copyRange('playhead');
+    }
+  }));
+  menu.appendChild(createMenuItem(`Copy last ${settings.rangeMinutes} minutes`, {
+    onSelect: () => {
+      closeControlMenu();
+      copyRange('last');
+    }
+  }));
+  menu.appendChild(createMenuItem(
+    start === null || end !== null ? 'Set start mark' : `Set end mark (start ${formatMark(start)})`,
+    {
+      onSelect: () => {
+        closeControlMenu();
+        markRange();
+      }
+    }
+  ));
+  if (start !== null && end !== null) {
+    menu.appendChild(createMenuItem(`Copy ${formatMark(start)} – ${formatMark(end)}`, {
+      onSelect: () => {
+        closeControlMenu();
+        copyRange('marks');
+      }
+    }));
+  }
+
+  if (settings.templates.length > 0) {
+    const active = chosenTemplate(settings);
+    menu.appendChild(createMenuTitle('Template'));
+    for (const template of [null, ...settings.templates]) {
+      const label = template ? template.name : `None (${TranscriptFormats.FORMATS[settings.format]?.label || settings.format})`;
+      menu.appendChild(createMenuItem(label, {
+        role: 'menuitemradio',
+        checked: template === active,
+        onSelect: async () => {
+          closeControlMenu();
+          await TranscriptSettings.save({ template: template ? template.name : '' });
+          log('Template now', template ? template.name : 'none');
+          copyTranscript();
+        }
+      }));
+    }
+  }
+
+  menu.appendChild(createMenuTitle('Metadata header'));
+  for (const [style, label] of HEADER_STYLES) {
+    menu.appendChild(createMenuItem(label, {
+      role: 'menuitemradio',
+      checked: settings.header === style,
+      onSelect: async () => {
+        closeControlMenu();
+        await TranscriptSettings.save({ header: style });
+        log('Metadata header now', style);
+      }
+    }));
+  }
+
+  menu.appendChild(createMenuTitle('Options'));
+  menu.appendChild(createMenuItem('Reflow into paragraphs', {
+    role: 'menuitemcheckbox',
+    checked: settings.reflow,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ reflow: !settings.reflow });
+      log('Reflow', settings.reflow ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem('Markdown timestamp links', {
+    role: 'menuitemcheckbox',
+    checked: settings.format === 'markdown',
+    onSelect: async () => {
+      closeControlMenu();
+      const format = settings.format === 'markdown' ? TranscriptFormats.DEFAULT_FORMAT : 'markdown';
+      await TranscriptSettings.save({ format });
+      log('Plain text format now', format);
+    }
+  }));
+  menu.appendChild(createMenuItem('Chapter headings', {
+    role: 'menuitemcheckbox',
+    checked: settings.chapters,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ chapters: !settings.chapters });
+      log('Chapter headings', settings.chapters ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem(`Copy in parts of ${settings.chunkSize} ${settings.chunkUnit}`, {
+    role: 'menuitemcheckbox',
+    checked: settings.chunked,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ chunked: !settings.chunked });
+      log('Chunked copies', settings.chunked ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem(`Bilingual with ${settings.translationLanguage} translation`, {
+    role: 'menuitemcheckbox',
+    checked: settings.bilingual,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ bilingual: !settings.bilingual });
+      log('Bilingual transcripts', settings.bilingual ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem('Prefetch on page load', {
+    role: 'menuitemcheckbox',
+    checked: settings.prefetch,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ prefetch: !settings.prefetch });
+      log('Prefetch', settings.prefetch ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem('Silent (no button feedback)', {
+    role: 'menuitemcheckbox',
+    checked: settings.silent,
+    onSelect: async () => {
+      closeControlMenu();
+      await TranscriptSettings.save({ silent: !settings.silent });
+      setControlState(null);
+      log('Silent mode', settings.silent ? 'disabled' : 'enabled');
+    }
+  }));
+  menu.appendChild(createMenuItem('Transcript library…', {
+    onSelect: () => {
+      closeControlMenu();
+      chrome.runtime.sendMessage({ type: 'OPEN_LIBRARY' }).catch((err) => {
+        logError('Could not open library:', err.message);
+      });
+    }
+  }));
+  menu.appendChild(createMenuItem('All settings…', {
+    onSelect: () => {
+      closeControlMenu();
+      // Content scripts cannot open the options page themselves
+      chrome.runtime.sendMessage({ type: 'OPEN_OPTIONS' }).catch((err) => {
+        logError('Could not open settings:', err.message);
+      });
+    }
+  }));
+
+  return menu;
+}
+
+/**
+ * Close the menu when clicking anywhere outside it
+ * @param {MouseEvent} event
+ */
+function handleOutsideClick(event) {
+  if (controlMenu && !controlMenu.contains(event.target)) {
+    closeControlMenu();
+  }
+}
+
+/**
+ * Close the menu on Escape
+ * @param {KeyboardEvent} event
+ */
+function handleMenuKeydown(event) {
+  if (event.key === 'Escape') {
+    closeControlMenu();
+  }
+}
+
+/**
+ * Open the control menu above the control button
+ */
+async function openControlMenu() {
+  log('Opening control menu');
+  let settings;
+  try {
+    settings = await TranscriptSettings.load();
+  } catch (err) {
+    logFailure('openControlMenu', err);
+    stateReporter(false)('error', `Settings not loaded: ${err.message}`);
+    return;
+  }
+  let result = null;
+  try {
+    result = await requestTracks({ trackPreference: settings.trackPreference });
+  } catch (err) {
+    logError('Could not list tracks:', err.message);
+  }
+  const tracks = result?.tracks || [];
+  if (tracks.length === 0) {
+    logError('No caption tracks to choose from');
+  }
+  if (!controlButton?.isConnected) {
+    return;
+  }
+
+  closeControlMenu();
+  controlMenu = createControlMenu(tracks, result?.selectedId ?? null, settings);
+
+  // Anchor to the player so the menu sits over the video like YouTube's own popups;
+  // Shorts and mobile buttons live outside the player, so float next to the button there
+  const player = controlButton.closest('.html5-video-player');
+  const buttonRect = controlButton.getBoundingClientRect();
+  if (player) {
+    const playerRect = player.getBoundingClientRect();
+    controlMenu.style.bottom = `${playerRect.bottom - buttonRect.top + 8}px`;
+    controlMenu.style.right = `${Math.max(playerRect.right - buttonRect.right, 12)}px`;
+    player.appendChild(controlMenu);
+  } else {
+    controlMenu.classList.add('transcript-control-menu--floating');
+    controlMenu.style.bottom = `${window.innerHeight - buttonRect.top + 8}px`;
+    controlMenu.style.right = `${Math.max(window.innerWidth - buttonRect.right, 12)}px`;
+    document.body.appendChild(controlMenu);
+  }
+
+  document.addEventListener('click', handleOutsideClick, true);
+  document.addEventListener('keydown', handleMenuKeydown, true);
+  (controlMenu.querySelector('[role="menuitemradio"][aria-checked="true"]') ||
+    controlMenu.querySelector('.transcript-control-menu-item'))?.focus();
+  log('Control menu opened with', tracks.length, 'tracks');
+}
+
+/**
+ * Close the control menu if open
+ */
+function closeControlMenu() {
+  if (!controlMenu) {
+    return;
+  }
+  controlMenu.remove();
+  controlMenu = null;
+  document.removeEventListener('click', handleOutsideClick, true);
+  document.removeEventListener('keydown', handleMenuKeydown, true);
+}
+
+/**
+ * Where the control goes on each playback surface
+ * containers: candidate containers, first match wins
+ * anchor: element within the container to insert before (the CC button, where there is one)
+ * variant: button styling for surfaces without YouTube's player controls
+ */
+const INJECTION_POINTS = {
+  // Watch, live and embed pages on youtube.com and youtube-nocookie.com
+  player: {
+    containers: ['.ytp-right-controls'],
+    anchor: '.ytp-subtitles-button'
+  },
+  shorts: {
+    containers: [
+      'ytd-reel-video-renderer[is-active] #actions',
+      'ytd-shorts [is-active] reel-action-bar-view-model'
+    ],
+    variant: 'shorts'
+  },
+  mobile: {
+    containers: ['.player-controls-top'],
+    anchor: 'ytm-closed-captioning-button',
+    variant: 'mobile'
+  },
+  'mobile-shorts': {
+    containers: [
+      'ytm-reel-player-overlay-renderer .reel-player-overlay-actions',
+      'ytm-shorts-lockup-view-model reel-action-bar-view-model'
+    ],
+    variant: 'shorts'
+  }
+};
+
+/**
+ * Determine which playback surface the current page uses
+ * @returns {string} Key into INJECTION_POINTS
+ */
+function getSurface() {
+  const mobile = window.location.hostname === 'm.youtube.com';
+  if (window.location.pathname.startsWith('/shorts/')) {
+    return mobile ? 'mobile-shorts' : 'shorts';
+  }
+  return mobile ? 'mobile' : 'player';
 }
 
 /**
- * Find the YouTube player controls container
+ * Find the controls container for a surface
+ * @param {object} point - Entry from INJECTION_POINTS
  * @returns {Element|null}
  */
-function findControlsContainer() {
-  const container = document.querySelector('.ytp-right-controls');
-  log('findControlsContainer:', container ? 'found' : 'not found');
-  return container;
+function findControlsContainer(point) {
+  for (const selector of point.containers) {
+    const container = document.querySelector(selector);
+    if (container) {
+      return container;
+    }
+  }
+  return null;
 }
 
 /**
  * Find the CC button to position near
+ * @param {Element} container - Controls container
+ * @param {object} point - Entry from INJECTION_POINTS
  * @returns {Element|null}
  */
-function findCCButton() {
-  const ccButton = document.querySelector('.ytp-subtitles-button');
+function findCCButton(container, point) {
+  const ccButton = point.anchor ? container.querySelector(point.anchor) : null;
   log('findCCButton:', ccButton ? 'found' : 'not found');
   return ccButton;
 }
 
+/**
+ * Check whether the current surface already has its control
+ * @returns {boolean}
+ */
+function hasCurrentControl() {
+  const container = findControlsContainer(INJECTION_POINTS[getSurface()]);
+  return !!container?.querySelector('[data-transcript-control]');
+}
+
+/**
+ * Remove controls left behind in players that are no longer current,
+ * e.g. the previous Short after scrolling
+ * @param {Element} container - Current controls container
+ */
+function removeStaleControls(container) {
+  document.querySelectorAll('[data-transcript-control]').forEach((button) => {
+    if (!container.contains(button)) {
+      button.remove();
+    }
+  });
+}
+
 /**
  * Inject the control button into YouTube player
  * Uses safe DOM insertion that handles various YouTube layouts
  */
 function injectControl() {
-  log('injectControl called');
+  const surface = getSurface();
+  const point = INJECTION_POINTS[surface];
+  log('injectControl called, surface:', surface);
 
-  // Already injected
-  if (document.querySelector('[data-transcript-control]')) {
-    log('Button already injected, skipping');
+  const container = findControlsContainer(point);
+  log('findControlsContainer:', container ? 'found' : 'not found');
+  if (!container) {
+    log('Controls container not found, will retry');
     return;
   }
 
-  const container = findControlsContainer();
-  if (!container) {
-    log('Controls container not found, will retry');
+  // Already injected
+  if (container.querySelector('[data-transcript-control]')) {
+    log('Button already injected, skipping');
     return;
   }
 
-  controlButton = createControlButton();
+  removeStaleControls(container);
+  closeControlMenu();
+  controlButton = createControlButton(point.variant);
   log('Control button created');
-  const ccButton = findCCButton();
+  const ccButton = findCCButton(container, point);
 
-  // Strategy: Insert before CC button (to the left of it), otherwise at start of right controls
+  // Strategy: Insert before CC button (to the left of it), otherwise at start of the container
   if (ccButton) {
     // Use insertAdjacentElement for safer insertion regardless of parent structure
     try {
@@ -177,14 +1445,14 @@ function injectControl() {
     }
   }
 
-  // Fallback: insert at start of right controls
+  // Fallback: insert at start of the controls container
   try {
     if (container.firstChild) {
       container.insertBefore(controlButton, container.firstChild);
-      log('Button injected at start of right controls');
+      log('Button injected at start of controls');
     } else {
       container.appendChild(controlButton);
-      log('Button appended to right controls');
+      log('Button appended to controls');
     }
   } catch (err) {
     logError('Fallback insertion failed:', err.message);
@@ -193,31 +1461,33 @@ function injectControl() {
 }
 
 /**
- * Check if current page is a video watch page
+ * Check if current page plays a single video (watch, Shorts, live or embed)
  * @returns {boolean}
  */
-function isWatchPage() {
-  return window.location.pathname === '/watch';
+function isVideoPage() {
+  return TranscriptUrls.parseVideoId(window.location.href) !== null;
 }
 
 /**
  * Initialize control injection with retry logic
+ * Observers are set up on every page, as YouTube can navigate to a video
+ * without a page load
  */
 function init() {
   log('init() called');
 
-  if (!isWatchPage()) {
-    log('Not a watch page, exiting init');
-    return;
-  }
-
   // Try to inject immediately
-  log('Attempting immediate injection');
-  injectControl();
+  if (isVideoPage()) {
+    log('Attempting immediate injection');
+    injectControl();
+    prefetchTranscript();
+  } else {
+    log('Not a video page, waiting for navigation');
+  }
 
   // Retry with observer for dynamic loading
   const observer = new MutationObserver(() => {
-    if (isWatchPage() && !document.querySelector('[data-transcript-control]')) {
+    if (isVideoPage() && !hasCurrentControl()) {
       injectControl();
     }
   });
@@ -234,11 +1504,19 @@ function init() {
     if (location.href !== lastUrl) {
       log('URL changed from', lastUrl, 'to', location.href);
       lastUrl = location.href;
+      if (viewer && viewer.videoId !== TranscriptUrls.parseVideoId(location.href)) {
+        closeViewer();
+      }
+      if (chunkedCopy) {
+        log('Navigated away, dropping the remaining transcript parts');
+        chunkedCopy = null;
+      }
       // Small delay for new page content
       setTimeout(() => {
-        if (isWatchPage()) {
+        if (isVideoPage()) {
           log('Re-injecting after SPA navigation');
           injectControl();
+          prefetchTranscript();
         }
       }, 500);
     }
@@ -251,6 +1529,68 @@ function init() {
   log('URL observer set up for SPA navigation');
 }
 
+/**
+ * Check whether this frame's video is playing
+ * Used to pick the embed the user is watching when a page has several
+ * @returns {boolean}
+ */
+function isPlaying() {
+  const video = document.querySelector('video');
+  return !!video && !video.paused;
+}
+
+// Copy and range mark requests from the background service worker (keyboard
+// command, toolbar action, link context menu). Link requests name their video
+// and work on any page.
+// Requests broadcast to every frame (playingOnly) are only answered by a frame
+// that acts, so the answer the background receives is the one that matters
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'COPY_PLAYLIST') {
+    const handled = TranscriptUrls.parsePlaylistId(window.location.href) !== null;
+    if (handled) {
+      log('Playlist copy requested by', message.source);
+      copyPlaylist();
+    }
+    sendResponse({ handled });
+    return;
+  }
+  if (message?.type !== 'COPY_TRANSCRIPT' && message?.type !== 'MARK_RANGE') {
+    return;
+  }
+  if (message.videoId) {
+    log('Copy requested by', message.source, 'for video:', message.videoId);
+    copyTranscript({ videoId: message.videoId });
+    sendResponse({ handled: true });
+    return;
+  }
+  // A playlist page has no video of its own, so copy the whole list
+  const wholeVideo = message.type === 'COPY_TRANSCRIPT' && !message.range;
+  if (wholeVideo && !message.playingOnly && !isVideoPage() && TranscriptUrls.parsePlaylistId(window.location.href)) {
+    log('Copy requested by', message.source, 'on playlist page');
+    copyPlaylist();
+    sendResponse({ handled: true });
+    return;
+  }
+  if (!isVideoPage() || (message.playingOnly && !isPlaying())) {
+    if (!message.playingOnly) {
+      sendResponse({ handled: false });
+    }
+    return;
+  }
+
+  if (message.type === 'MARK_RANGE') {
+    log('Range mark requested by', message.source);
+    markRange();
+  } else if (message.range) {
+    log('Range copy requested by', message.source + ':', message.range);
+    copyRange(message.range);
+  } else {
+    log('Copy requested by', message.source);
+    copyOrContinue();
+  }
+  sendResponse({ handled: true });
+});
+
 // Start
 log('Starting initialization');
 init();
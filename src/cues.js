@@ -0,0 +1,246 @@
+/**
+ * Cue transforms
+ * Pure functions over the cue model ({ start, duration, text, words? }, milliseconds)
+ * Word timings ([{ start, text }]) are carried through every transform
+ */
+(function (root) {
+  /**
+   * Default reflow tuning
+   * sentencePauseMs: silence that ends a sentence when there is no punctuation
+   * paragraphPauseMs: silence that starts a new paragraph
+   * maxSentences: sentences per paragraph before breaking
+   * maxParagraphMs: paragraph length before breaking at the next sentence end,
+   *   or at the next cue boundary for unpunctuated speech without pauses
+   */
+  const REFLOW_DEFAULTS = {
+    sentencePauseMs: 1200,
+    paragraphPauseMs: 2500,
+    maxSentences: 5,
+    maxParagraphMs: 45000
+  };
+
+  const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+  /**
+   * Get the end time of a cue
+   * @param {object} cue
+   * @returns {number} End time in milliseconds
+   */
+  function cueEnd(cue) {
+    return cue.start + (cue.duration || 0);
+  }
+
+  /**
+   * Normalize a word for overlap comparison
+   * @param {string} word
+   * @returns {string}
+   */
+  function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  }
+
+  /**
+   * Count how many leading words of `next` repeat the trailing words of `previous`
+   * @param {string[]} previous - Words of the previous cue
+   * @param {string[]} next - Words of the next cue
+   * @returns {number} Length of the longest overlap
+   */
+  function overlapLength(previous, next) {
+    const a = previous.map(normalizeWord);
+    const b = next.map(normalizeWord);
+    for (let k = Math.min(a.length, b.length); k > 0; k--) {
+      let same = true;
+      for (let i = 0; i < k; i++) {
+        if (a[a.length - k + i] !== b[i]) {
+          same = false;
+          break;
+        }
+      }
+      if (same) {
+        return k;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Drop the word timings of words removed from the start of a cue
+   * Timings are only kept when they line up one-to-one with the text's words
+   * @param {object} cue
+   * @param {number} wordCount - Words in the cue's text
+   * @param {number} count - Leading words removed
+   * @returns {object} Partial cue with the remaining words, or words: undefined
+   */
+  function dropLeadingWords(cue, wordCount, count) {
+    if (!cue.words) {
+      return {};
+    }
+    return { words: cue.words.length === wordCount ? cue.words.slice(count) : undefined };
+  }
+
+  /**
+   * Remove words that rolling ASR cues repeat from the previous cue
+   * A single repeated word is only dropped when the cues overlap in time,
+   * so genuine repetitions ("that that") survive in manual captions
+   * @param {Array} cues - Cues in start order
+   * @returns {Array} New cues with repeated words removed
+   */
+  function removeRepeatedWords(cues) {
+    const result = [];
+    for (const cue of cues) {
+      const previous = result[result.length - 1];
+      if (!previous) {
+        result.push({ ...cue });
+        continue;
+      }
+
+      const words = cue.text.split(/\s+/);
+      const overlap = overlapLength(previous.text.split(/\s+/), words);
+      const overlapsInTime = cue.start < cueEnd(previous);
+      if (overlap === 0 || (overlap === 1 && !overlapsInTime)) {
+        result.push({ ...cue });
+        continue;
+      }
+
+      const remaining = words.slice(overlap).join(' ');
+      if (remaining) {
+        result.push({ ...cue, text: remaining, ...dropLeadingWords(cue, words.length, overlap) });
+      } else {
+        // Entirely repeated: let the previous cue cover this one's time instead
+        previous.duration = Math.max(cueEnd(previous), cueEnd(cue)) - previous.start;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Join caption fragments into sentences and paragraphs
+   * Sentences end at punctuation, or at a pause when the track has none.
+   * Each returned cue is one paragraph, starting where its first fragment starts.
+   * @param {Array} cues - Cues in start order
+   * @param {object} [options] - Overrides for REFLOW_DEFAULTS
+   * @param {number[]} [options.breaks] - Times a paragraph must not span, e.g. chapter starts
+   * @returns {Array} Paragraph cues
+   */
+  function reflow(cues, options = {}) {
+    const { sentencePauseMs, paragraphPauseMs, maxSentences, maxParagraphMs, breaks = [] } = { ...REFLOW_DEFAULTS, ...options };
+    const fragments = removeRepeatedWords(cues);
+    const paragraphs = [];
+
+    let paragraph = null;
+    let sentences = 0;
+
+    fragments.forEach((cue, i) => {
+      if (!paragraph) {
+        paragraph = { start: cue.start, end: cueEnd(cue), parts: [], words: [] };
+        sentences = 0;
+      }
+      paragraph.parts.push(cue.text);
+      // Word timings survive only when every fragment has them
+      paragraph.words = paragraph.words && cue.words ? paragraph.words.concat(cue.words) : null;
+      paragraph.end = Math.max(paragraph.end, cueEnd(cue));
+
+      const next = fragments[i + 1];
+      const pause = next ? next.start - cueEnd(cue) : Infinity;
+      const endsSentence = SENTENCE_END.test(cue.text) || pause >= sentencePauseMs;
+      if (endsSentence) {
+        sentences++;
+      }
+
+      // Over-long paragraphs wait for a sentence end, unless there has been none at all
+      const tooLong = paragraph.end - paragraph.start >= maxParagraphMs;
+      const breakParagraph = !next ||
+        breaks.some(time => cue.start < time && time <= next.start) ||
+        pause >= paragraphPauseMs ||
+        (endsSentence && sentences >= maxSentences) ||
+        (tooLong && (endsSentence || sentences === 0));
+
+      if (breakParagraph) {
+        paragraphs.push({
+          start: paragraph.start,
+          duration: paragraph.end - paragraph.start,
+          text: paragraph.parts.join(' '),
+          ...(paragraph.words ? { words: paragraph.words } : {})
+        });
+        paragraph = null;
+      }
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Keep the cues spoken inside a time range
+   * A cue is kept when any part of it falls in the range
+   * @param {Array} cues - Cues in start order
+   * @param {number} start - Range start in milliseconds
+   * @param {number} end - Range end in milliseconds (Infinity for the end of the video)
+   * @returns {Array} Cues overlapping the range
+   */
+  function sliceRange(cues, start, end) {
+    return cues.filter(cue => cue.start < end && (cueEnd(cue) > start || cue.start >= start));
+  }
+
+  /**
+   * Split cues into chapter sections
+   * Cues before the first chapter form a leading section with no chapter
+   * @param {Array} cues - Cues in start order
+   * @param {Array<{start: number, title: string}>} chapters - Chapters in start order
+   * @returns {Array<{chapter: object|null, cues: Array}>} Non-empty sections
+   */
+  function groupByChapter(cues, chapters) {
+    const sections = [{ chapter: null, cues: [] }, ...chapters.map(chapter => ({ chapter, cues: [] }))];
+    for (const cue of cues) {
+      let index = 0;
+      while (index < chapters.length && chapters[index].start <= cue.start) {
+        index++;
+      }
+      sections[index].cues.push(cue);
+    }
+    return sections.filter(section => section.cues.length > 0);
+  }
+
+  /**
+   * Attach translated text to the cues it was spoken over
+   * Each translated cue joins the cue its midpoint falls in, a cue lasting
+   * until the next one starts; translations outside the cues' span (e.g. cut
+   * off by a range) are dropped. Translated tracks are timed like their
+   * source, but reflowed paragraphs collect several translated lines.
+   * @param {Array} cues - Cues in start order
+   * @param {Array} translated - Translated cues in start order
+   * @returns {Array} Cues, with `translation` where any translated text fell
+   */
+  function alignTranslation(cues, translated) {
+    if (cues.length === 0) {
+      return cues;
+    }
+    const texts = cues.map(() => []);
+    const first = cues[0].start;
+    const last = cueEnd(cues[cues.length - 1]);
+    let index = 0;
+    for (const cue of translated) {
+      const middle = cue.start + (cue.duration || 0) / 2;
+      if (cueEnd(cue) <= first || cue.start >= last) {
+        continue;
+      }
+      while (index > 0 && cues[index].start > middle) {
+        index--;
+      }
+      while (index < cues.length - 1 && cues[index + 1].start <= middle) {
+        index++;
+      }
+      texts[index].push(cue.text);
+    }
+    return cues.map((cue, i) => (texts[i].length > 0 ? { ...cue, translation: texts[i].join(' ') } : cue));
+  }
+
+  root.TranscriptCues = {
+    REFLOW_DEFAULTS,
+    cueEnd,
+    removeRepeatedWords,
+    reflow,
+    sliceRange,
+    groupByChapter,
+    alignTranslation
+  };
+})(globalThis);
@@ -0,0 +1,33 @@
+/**
+ * File downloads
+ * Saves text as a file through a temporary object URL and link
+ */
+(function (root) {
+  /**
+   * How long an object URL outlives its click, for downloads slow to start
+   */
+  const REVOKE_DELAY_MS = 10000;
+
+  /**
+   * Save text as a file in the browser's downloads
+   * @param {string} text
+   * @param {string} fileName
+   * @param {string} mimeType
+   */
+  function saveText(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+  }
+
+  root.TranscriptDownload = {
+    REVOKE_DELAY_MS,
+    saveText
+  };
+})(globalThis);
@@ -0,0 +1,173 @@
+/**
+ * Endpoint delivery
+ * POSTs extracted transcripts as JSON to a user-configured HTTP endpoint,
+ * e.g. a local notes or indexing service, retrying with backoff
+ *
+ * Payload (version 1):
+ *   { version, source, sentAt, format, text,
+ *     video: { id, url, title, channel, lengthMs, published, live },
+ *     track, translation, range, chapters, cues }
+ *
+ * Runs in the background service worker, so page origins and their CORS
+ * rules never apply.
+ */
+(function (root) {
+  /**
+   * Bumped whenever the payload shape changes incompatibly
+   */
+  const PAYLOAD_VERSION = 1;
+
+  /**
+   * Attempts per delivery and the backoff between them
+   * Delays double from baseDelayMs up to maxDelayMs; a Retry-After header
+   * within maxDelayMs is honoured instead
+   */
+  const RETRY_DEFAULTS = {
+    attempts: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000
+  };
+
+  /**
+   * Check that a setting value can be used as an endpoint
+   * @param {string} url
+   * @returns {boolean} Whether url is an absolute http or https URL
+   */
+  function isEndpointUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build the JSON body for a transcript
+   * @param {object} transcript - Transcript object with videoId, details, track, cues and chapters
+   * @param {object} delivery
+   * @param {string} delivery.format - Output format name
+   * @param {string} delivery.text - Transcript serialized in that format
+   * @param {boolean} [delivery.test] - Marks a test delivery from the options page
+   * @param {Function} [delivery.now] - Clock, for tests
+   * @returns {object} Payload
+   */
+  function buildPayload(transcript, { format, text, test = false, now = Date.now }) {
+    const details = transcript.details || {};
+    return {
+      version: PAYLOAD_VERSION,
+      source: 'transcript-control',
+      sentAt: new Date(now()).toISOString(),
+      ...(test ? { test: true } : {}),
+      format,
+      text,
+      video: {
+        id: transcript.videoId,
+        url: TranscriptUrls.watchUrl(transcript.videoId),
+        title: details.title ?? null,
+        channel: details.channel ?? null,
+        lengthMs: details.lengthMs ?? null,
+        published: details.published ?? null,
+        live: !!details.live
+      },
+      track: transcript.track || null,
+      translation: transcript.translation ? { languageCode: transcript.translation.languageCode, name: transcript.translation.name } : null,
+      range: transcript.range || null,
+      chapters: transcript.chapters || [],
+      cues: transcript.cues
+    };
+  }
+
+  /**
+   * Decide whether a failed response is worth another attempt
+   * Timeouts, rate limits and server errors are; other client errors mean
+   * the endpoint rejected the payload and will keep doing so
+   * @param {number} status - HTTP status
+   * @returns {boolean}
+   */
+  function isRetryable(status) {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * @param {number} attempt - Attempts made so far, from 1
+   * @param {string|null} [retryAfter] - Retry-After header of the last response, in seconds
+   * @param {object} [retry] - Backoff settings, see RETRY_DEFAULTS
+   * @returns {number} Delay in milliseconds
+   */
+  function retryDelay(attempt, retryAfter = null, { baseDelayMs, maxDelayMs } = RETRY_DEFAULTS) {
+    const requested = Number(retryAfter) * 1000;
+    if (retryAfter !== null && requested >= 0 && requested <= maxDelayMs) {
+      return requested;
+    }
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  }
+
+  /**
+   * POST a payload, retrying network failures and retryable statuses
+   * @param {string} url - Endpoint URL
+   * @param {object} payload - JSON body
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Limit per attempt
+   * @param {number} [options.attempts] - Attempts before giving up
+   * @param {number} [options.baseDelayMs] - First backoff delay
+   * @param {number} [options.maxDelayMs] - Longest backoff delay
+   * @param {Function} [options.fetch] - fetch implementation, for tests
+   * @param {Function} [options.sleep] - Delay implementation, for tests
+   * @returns {Promise<{status: number, attempts: number}>} Final response status and attempts used;
+   *   rejects with ENDPOINT_FAILED
+   */
+  async function send(url, payload, {
+    timeoutMs = 15000,
+    fetch = root.fetch,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    ...retryOptions
+  } = {}) {
+    const retry = { ...RETRY_DEFAULTS, ...retryOptions };
+    const body = JSON.stringify(payload);
+    let failure = null;
+    let attempt = 0;
+
+    while (attempt < retry.attempts) {
+      attempt++;
+      let retryAfter = null;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (response.ok) {
+          return { status: response.status, attempts: attempt };
+        }
+        failure = { reason: `HTTP ${response.status}`, status: response.status };
+        if (!isRetryable(response.status)) {
+          break;
+        }
+        retryAfter = response.headers?.get('Retry-After') ?? null;
+      } catch (err) {
+        failure = { reason: err.name === 'TimeoutError' ? `no answer after ${timeoutMs / 1000}s` : err.message, status: null };
+      }
+      if (attempt < retry.attempts) {
+        await sleep(retryDelay(attempt, retryAfter, retry));
+      }
+    }
+
+    throw new TranscriptErrors.TranscriptError(
+      'ENDPOINT_FAILED',
+      `Endpoint delivery failed after ${attempt} ${attempt === 1 ? 'attempt' : 'attempts'}: ${failure.reason}`,
+      { url, status: failure.status, attempts: attempt }
+    );
+  }
+
+  root.TranscriptEndpoint = {
+    PAYLOAD_VERSION,
+    RETRY_DEFAULTS,
+    isEndpointUrl,
+    buildPayload,
+    isRetryable,
+    retryDelay,
+    send
+  };
+})(globalThis);
@@ -0,0 +1,86 @@
+/**
+ * Transcript error taxonomy
+ * Stable codes with structured details, so failures can drive UI, retries
+ * and diagnostics instead of being matched on message text. Errors cross
+ * the page/content boundary as plain { code, message, details } objects.
+ */
+(function (root) {
+  /**
+   * Every error code, with a short description for people
+   */
+  const ERROR_CODES = {
+    NO_VIDEO_ID: 'No video on this page',
+    API_KEY_MISSING: 'YouTube page config not found',
+    PAGE_DATA_MISSING: 'Page data for this video not found',
+    PLAYER_HTTP_ERROR: 'YouTube player request failed',
+    PLAYABILITY_BLOCKED: 'Video is not playable here (age-restricted, members-only, private or removed)',
+    NO_TRACKS: 'Video has no captions',
+    TRACK_HTTP_ERROR: 'Caption download failed',
+    PANEL_HTTP_ERROR: 'Transcript panel request failed',
+    EMPTY_TRACK: 'Caption track is empty',
+    PARSE_FAILED: 'Captions could not be parsed',
+    NO_TRANSLATION: 'No translation into that language',
+    INVALID_OPTION: 'Request option is not valid',
+    INVALID_RANGE: 'Time range is not valid',
+    EMPTY_RANGE: 'No captions in the time range',
+    PLAYLIST_EMPTY: 'Playlist has no videos',
+    PLAYLIST_HTTP_ERROR: 'Playlist request failed',
+    TIMEOUT: 'The page did not answer in time',
+    CANCELLED: 'Request cancelled',
+    PROTOCOL_MISMATCH: 'Content script and page script versions differ',
+    CLIPBOARD_REJECTED: 'Clipboard write rejected',
+    ENDPOINT_FAILED: 'Endpoint delivery failed',
+    UNKNOWN: 'Unexpected error'
+  };
+
+  /**
+   * Error with a stable code and structured details
+   */
+  class TranscriptError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} [message] - Specific message, defaults to the code's description
+     * @param {object} [details] - Structured context, e.g. { status: 403 }
+     */
+    constructor(code, message = ERROR_CODES[code], details = {}) {
+      super(message);
+      this.name = 'TranscriptError';
+      this.code = ERROR_CODES[code] ? code : 'UNKNOWN';
+      this.details = details;
+    }
+  }
+
+  /**
+   * Convert any thrown value into a plain object for postMessage
+   * Errors without a code become UNKNOWN
+   * @param {*} err
+   * @returns {{code: string, message: string, details: object}}
+   */
+  function serializeError(err) {
+    return {
+      code: err?.code && ERROR_CODES[err.code] ? err.code : 'UNKNOWN',
+      message: err?.message || String(err),
+      details: err?.details || {}
+    };
+  }
+
+  /**
+   * Rebuild a TranscriptError from a message's error field
+   * Accepts the plain-string errors of older page scripts
+   * @param {object|string} data
+   * @returns {TranscriptError}
+   */
+  function deserializeError(data) {
+    if (typeof data === 'string') {
+      return new TranscriptError('UNKNOWN', data);
+    }
+    return new TranscriptError(data.code, data.message, data.details);
+  }
+
+  root.TranscriptErrors = {
+    ERROR_CODES,
+    TranscriptError,
+    serializeError,
+    deserializeError
+  };
+})(globalThis);
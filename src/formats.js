@@ -0,0 +1,495 @@
+/**
+ * Transcript output formats
+ * Serializes the structured cue model produced by transcript.js into text
+ *
+ * Cue model: { start, duration, text } with start/duration in milliseconds.
+ * Cues from word-timed tracks also carry words: [{ start, text }].
+ * Serializers receive a transcript object ({ videoId, track, cues }) so they
+ * can grow to use more than the cues without changing their signature.
+ * Reflowed transcripts set `paragraphs: true`, and each cue is a paragraph.
+ * Formats marked `rich` can also be rendered as HTML with linked timestamps.
+ * Source details (`details`, `track`, `extractedAt`) feed the optional metadata header.
+ * Transcripts with `chapters` ([{ start, title }]) are split into sections.
+ * Bilingual transcripts carry `translation` on each cue; formats without a
+ * place of their own for it get it merged into the cue text.
+ * Sections are grouped by TranscriptCues, so cues.js must be loaded too.
+ */
+(function (root) {
+  const pad = (n, width = 2) => n.toString().padStart(width, '0');
+
+  /**
+   * Format milliseconds to MM:SS or HH:MM:SS timestamp
+   * @param {number} ms - Time in milliseconds
+   * @returns {string} Formatted timestamp
+   */
+  function formatTimestamp(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+      return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    }
+    return `${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  /**
+   * Format milliseconds to a subtitle clock (HH:MM:SS<sep>mmm)
+   * @param {number} ms - Time in milliseconds
+   * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+   * @returns {string} Formatted clock
+   */
+  function formatClock(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+  }
+
+  /**
+   * Get the end time of a cue
+   * Cues without a usable duration end where the next cue starts
+   * @param {Array} cues - All cues
+   * @param {number} index - Index of the cue
+   * @returns {number} End time in milliseconds
+   */
+  function cueEnd(cues, index) {
+    const cue = cues[index];
+    if (cue.duration > 0) {
+      return cue.start + cue.duration;
+    }
+    const next = cues[index + 1];
+    return next ? Math.max(cue.start, next.start) : cue.start;
+  }
+
+  /**
+   * Separator between cue lines in the text formats
+   * Paragraph cues get a blank line between them
+   * @param {object} transcript
+   * @returns {string}
+   */
+  function lineSeparator(transcript) {
+    return transcript.paragraphs ? '\n\n' : '\n';
+  }
+
+  /**
+   * Bracketed timestamp used by the text formats
+   * @param {number} ms - Time in milliseconds
+   * @returns {string}
+   */
+  function stampText(ms) {
+    return `[${formatTimestamp(ms)}]`;
+  }
+
+  /**
+   * Render text lines divided into chapter sections
+   * Adds a table of contents and a heading with title and start time per chapter;
+   * transcripts without chapters are rendered flat
+   * @param {object} transcript
+   * @param {Function} renderCues - Renders an array of cues as text
+   * @param {Function} [stamp] - Renders a timestamp in the contents and headings
+   * @returns {string}
+   */
+  function renderSections(transcript, renderCues, stamp = stampText) {
+    const chapters = transcript.chapters || [];
+    if (chapters.length === 0) {
+      return renderCues(transcript.cues);
+    }
+
+    const contents = ['Chapters:', ...chapters.map(c => `${stamp(c.start)} ${c.title}`)].join('\n');
+    const sections = TranscriptCues.groupByChapter(transcript.cues, chapters).map(({ chapter, cues }) => (
+      chapter
+        ? `## ${chapter.title} ${stamp(chapter.start)}\n\n${renderCues(cues)}`
+        : renderCues(cues)
+    ));
+    return [contents, ...sections].join('\n\n');
+  }
+
+  /**
+   * Render cue lines with timestamps, e.g. "[00:05] text"
+   * @param {object} transcript
+   * @param {Function} stamp - Renders a cue's start time
+   * @returns {string}
+   */
+  function renderStamped(transcript, stamp) {
+    return renderSections(transcript, cues => cues
+      .map(cue => `${stamp(cue.start)} ${cue.text}`)
+      .join(lineSeparator(transcript)), stamp);
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  /**
+   * Ways to lay out a translation next to the original line
+   */
+  const TRANSLATION_LAYOUTS = ['interleaved', 'side-by-side'];
+
+  /**
+   * Merge each cue's translation into its text
+   * @param {object} transcript
+   * @param {string} [layout] - 'interleaved' puts the translation on the next line,
+   *   'side-by-side' after the original with a " | " between
+   * @returns {object} Transcript object whose cues have no separate translation
+   */
+  function mergeTranslations(transcript, layout = 'interleaved') {
+    if (!transcript.cues.some(cue => cue.translation)) {
+      return transcript;
+    }
+    const separator = layout === 'side-by-side' ? ' | ' : '\n';
+    return {
+      ...transcript,
+      cues: transcript.cues.map(({ translation, ...cue }) => (
+        translation ? { ...cue, text: `${cue.text}${separator}${translation}` } : cue
+      ))
+    };
+  }
+
+  /**
+   * Render a transcript as HTML with every timestamp linking into the video
+   * Mirrors the timestamped layout: a table of contents and a heading per
+   * chapter, one block per cue (a paragraph when reflowed, a line otherwise)
+   * @param {object} transcript - Transcript object with a videoId
+   * @param {object} [options]
+   * @param {string} [options.header] - Metadata header: 'none' (default) or any other style
+   * @param {string} [options.translationLayout] - How translations are laid out, see mergeTranslations
+   * @returns {string} HTML fragment
+   */
+  function toHtml(transcript, { header = 'none', translationLayout } = {}) {
+    const link = (ms) => `<a href="${escapeHtml(TranscriptUrls.watchUrl(transcript.videoId, ms))}">${stampText(ms)}</a>`;
+    const tag = transcript.paragraphs ? 'p' : 'div';
+    const renderCues = cues => mergeTranslations({ cues }, translationLayout).cues
+      .map(cue => `<${tag}>${link(cue.start)} ${escapeHtml(cue.text).replace(/\n/g, '<br>')}</${tag}>`)
+      .join('\n');
+
+    // Rich paste targets show the header as labelled lines whatever its text style
+    const headerHtml = header === 'none'
+      ? []
+      : [`<p>${headerFields(transcript).map(([, label, value]) => `${label}: ${escapeHtml(value)}`).join('<br>')}</p>`];
+
+    const chapters = transcript.chapters || [];
+    if (chapters.length === 0) {
+      return [...headerHtml, renderCues(transcript.cues)].join('\n');
+    }
+
+    const contents = [
+      '<p>Chapters:</p>',
+      '<ul>',
+      ...chapters.map(c => `<li>${link(c.start)} ${escapeHtml(c.title)}</li>`),
+      '</ul>'
+    ].join('\n');
+    const sections = TranscriptCues.groupByChapter(transcript.cues, chapters).map(({ chapter, cues }) => (
+      chapter
+        ? `<h2>${escapeHtml(chapter.title)} ${link(chapter.start)}</h2>\n${renderCues(cues)}`
+        : renderCues(cues)
+    ));
+    return [...headerHtml, contents, ...sections].join('\n');
+  }
+
+  /**
+   * Find the chapter a time falls in
+   * @param {Array} chapters - Chapters in start order
+   * @param {number} time - Time in milliseconds
+   * @returns {object|null}
+   */
+  function chapterAt(chapters, time) {
+    let current = null;
+    for (const chapter of chapters) {
+      if (chapter.start > time) {
+        break;
+      }
+      current = chapter;
+    }
+    return current;
+  }
+
+  /**
+   * Metadata header fields, in output order, with their plain-text labels
+   */
+  const HEADER_FIELDS = [
+    ['title', 'Title'],
+    ['channel', 'Channel'],
+    ['url', 'URL'],
+    ['duration', 'Duration'],
+    ['published', 'Published'],
+    ['extracted', 'Extracted'],
+    ['language', 'Language'],
+    ['captions', 'Captions'],
+    ['translation', 'Translation'],
+    ['range', 'Range']
+  ];
+
+  /**
+   * Collect the metadata header values of a transcript
+   * Unknown values are left out rather than printed empty
+   * @param {object} transcript
+   * @returns {Array<[string, string, string]>} Key, label and value of each known field
+   */
+  function headerFields(transcript) {
+    const { details = {}, track, range, translation } = transcript;
+    const values = {
+      title: details.title,
+      channel: details.channel,
+      url: TranscriptUrls.watchUrl(transcript.videoId),
+      duration: details.lengthMs ? formatTimestamp(details.lengthMs) : null,
+      published: details.published,
+      extracted: transcript.extractedAt,
+      language: track?.languageCode || track?.name,
+      captions: track ? (track.kind === 'asr' ? 'auto-generated' : 'manual') : null,
+      translation: translation ? `${translation.languageCode} (YouTube machine translation)` : null,
+      range: range
+        ? `${formatTimestamp(range.start)}–${Number.isFinite(range.end) ? formatTimestamp(range.end) : 'end'}`
+        : null
+    };
+    return HEADER_FIELDS
+      .filter(([key]) => values[key])
+      .map(([key, label]) => [key, label, String(values[key])]);
+  }
+
+  /**
+   * Render the metadata header block
+   * @param {object} transcript
+   * @param {string} style - 'yaml' for front matter, 'text' for labelled lines
+   * @returns {string}
+   */
+  function renderHeader(transcript, style) {
+    const fields = headerFields(transcript);
+    if (style === 'yaml') {
+      // JSON strings are valid double-quoted YAML scalars
+      return ['---', ...fields.map(([key, , value]) => `${key}: ${JSON.stringify(value)}`), '---'].join('\n');
+    }
+    return fields.map(([, label, value]) => `${label}: ${value}`).join('\n');
+  }
+
+  /**
+   * Put the metadata header above a serialized transcript
+   * @param {string} output - Serialized transcript
+   * @param {object} transcript
+   * @param {string} style - Header style
+   * @returns {string}
+   */
+  function prependHeader(output, transcript, style) {
+    return `${renderHeader(transcript, style)}\n\n${output}`;
+  }
+
+  /**
+   * Available output formats, keyed by name
+   * Each serializer takes a transcript object and returns a string; those
+   * marked `translations` write cue translations themselves
+   */
+  const FORMATS = {
+    timestamped: {
+      label: 'Timestamped text',
+      extension: 'txt',
+      mimeType: 'text/plain',
+      rich: true,
+      untimed: 'plain',
+      serialize: (transcript) => renderStamped(transcript, stampText),
+      addHeader: prependHeader
+    },
+    markdown: {
+      label: 'Markdown with timestamp links',
+      extension: 'md',
+      mimeType: 'text/markdown',
+      rich: true,
+      untimed: 'plain',
+      serialize: (transcript) => renderStamped(transcript, ms => (
+        `${stampText(ms)}(${TranscriptUrls.watchUrl(transcript.videoId, ms)})`
+      )),
+      addHeader: prependHeader
+    },
+    plain: {
+      label: 'Plain text',
+      extension: 'txt',
+      mimeType: 'text/plain',
+      serialize: (transcript) => renderSections(transcript, cues => cues
+        .map(cue => cue.text)
+        .join(lineSeparator(transcript))),
+      addHeader: prependHeader
+    },
+    srt: {
+      label: 'SubRip (SRT)',
+      extension: 'srt',
+      mimeType: 'application/x-subrip',
+      serialize: ({ cues }) => cues
+        .map((cue, i) => [
+          i + 1,
+          `${formatClock(cue.start, ',')} --> ${formatClock(cueEnd(cues, i), ',')}`,
+          cue.text
+        ].join('\n'))
+        .join('\n\n') + '\n'
+    },
+    vtt: {
+      label: 'WebVTT',
+      extension: 'vtt',
+      mimeType: 'text/vtt',
+      // Chapter starts become NOTE blocks, which players ignore
+      serialize: ({ cues, chapters = [] }) => ['WEBVTT', ...cues.flatMap((cue, i) => {
+        const block = [
+          `${formatClock(cue.start, '.')} --> ${formatClock(cueEnd(cues, i), '.')}`,
+          cue.text
+        ].join('\n');
+        const chapter = chapterAt(chapters, cue.start);
+        const startsChapter = chapter && chapter !== chapterAt(chapters, cues[i - 1]?.start ?? -1);
+        return startsChapter ? [`NOTE Chapter: ${chapter.title}`, block] : [block];
+      })].join('\n\n') + '\n',
+      // Players skip NOTE blocks, so the header always uses labelled lines
+      addHeader: (output, transcript) => output.replace(/^WEBVTT\n\n/, `WEBVTT\n\nNOTE\n${renderHeader(transcript, 'text')}\n\n`)
+    },
+    json: {
+      label: 'JSON cues',
+      extension: 'json',
+      mimeType: 'application/json',
+      translations: true,
+      // Times are emitted in seconds, which is what most data tooling expects;
+      // chapters are a per-cue field so the array shape never changes
+      serialize: ({ cues, chapters = [] }) => JSON.stringify(cues.map(cue => ({
+        start: cue.start / 1000,
+        duration: cue.duration / 1000,
+        text: cue.text,
+        ...(cue.translation ? { translation: cue.translation } : {}),
+        ...(cue.words ? { words: cue.words.map(word => ({ start: word.start / 1000, text: word.text })) } : {}),
+        ...(chapters.length > 0 ? { chapter: chapterAt(chapters, cue.start)?.title ?? null } : {})
+      })), null, 2)
+    }
+  };
+
+  const DEFAULT_FORMAT = 'timestamped';
+
+  /**
+   * Look up an output format by name
+   * @param {string} [name] - Format name, defaults to DEFAULT_FORMAT
+   * @returns {object} Format definition
+   */
+  function getFormat(name = DEFAULT_FORMAT) {
+    const format = FORMATS[name];
+    if (!format) {
+      throw new Error(`Unknown transcript format: ${name}`);
+    }
+    return format;
+  }
+
+  /**
+   * Pick the format to use with timestamps on or off
+   * Text formats whose timestamps are decoration fall back to their untimed
+   * counterpart; subtitle and JSON formats keep their times either way
+   * @param {string} name - Chosen format name
+   * @param {boolean} timestamps - Whether timestamps are wanted
+   * @returns {string} Format name
+   */
+  function resolveTimestamps(name, timestamps) {
+    return timestamps ? name : FORMATS[name]?.untimed || name;
+  }
+
+  /**
+   * Build a download filename, "<channel> - <title> [<id>].<ext>"
+   * Missing parts are left out, and characters that common file systems
+   * reject are replaced, so any title is safe to save
+   * @param {object} parts
+   * @param {string} parts.id - Video or playlist ID
+   * @param {string} [parts.title]
+   * @param {string} [parts.channel]
+   * @param {string} extension - File extension, e.g. a format's or a template's
+   * @returns {string}
+   */
+  function fileName({ id, title, channel }, extension) {
+    const clean = text => text
+      .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const label = Array.from([channel, title].filter(Boolean).map(clean).filter(Boolean).join(' - '))
+      .slice(0, 150)
+      .join('')
+      .replace(/^[.\s]+|[.\s]+$/g, '');
+    return `${label ? `${label} ` : ''}[${id}].${extension}`;
+  }
+
+  /**
+   * Serialize a transcript into the named output format
+   * SRT and JSON have nowhere to put a header that every reader would accept,
+   * so they never get one
+   * @param {object} transcript - Transcript object with a cues array
+   * @param {string} [name] - Format name, defaults to DEFAULT_FORMAT
+   * @param {object} [options]
+   * @param {string} [options.header] - Metadata header: 'none' (default), 'text' or 'yaml'
+   * @param {string} [options.translationLayout] - How translations are laid out, see mergeTranslations
+   * @returns {string} Serialized transcript
+   */
+  function serialize(transcript, name, { header = 'none', translationLayout } = {}) {
+    const format = getFormat(name);
+    const output = format.serialize(format.translations ? transcript : mergeTranslations(transcript, translationLayout));
+    return header !== 'none' && format.addHeader ? format.addHeader(output, transcript, header) : output;
+  }
+
+  /**
+   * Serialize several videos' transcripts into one document
+   * Text formats get a heading and URL per video and a summary of videos
+   * without a transcript; JSON gets a single object with every entry
+   * @param {Array<{videoId: string, title: string, transcript?: object, error?: string}>} entries
+   * @param {string} [name] - Format name, defaults to DEFAULT_FORMAT
+   * @param {object} [options]
+   * @param {string} [options.translationLayout] - How translations are laid out, see mergeTranslations
+   * @returns {string} Combined document
+   */
+  function serializeCollection(entries, name, { translationLayout } = {}) {
+    const format = getFormat(name);
+    const failed = entries.filter(entry => !entry.transcript);
+    const serializeEntry = transcript => format.serialize(format.translations ? transcript : mergeTranslations(transcript, translationLayout));
+
+    if (format === FORMATS.json) {
+      return JSON.stringify({
+        videos: entries.map(entry => ({
+          videoId: entry.videoId,
+          title: entry.title,
+          url: TranscriptUrls.watchUrl(entry.videoId),
+          ...(entry.transcript
+            ? { cues: JSON.parse(serializeEntry(entry.transcript)) }
+            : { error: entry.error })
+        }))
+      }, null, 2);
+    }
+
+    const sections = entries
+      .map((entry, i) => ({ ...entry, number: i + 1 }))
+      .filter(entry => entry.transcript)
+      .map(entry => [
+        `# ${entry.number}. ${entry.title}`,
+        TranscriptUrls.watchUrl(entry.videoId),
+        '',
+        serializeEntry(entry.transcript).trimEnd()
+      ].join('\n'));
+
+    const summary = [`Transcripts: ${entries.length - failed.length} of ${entries.length} videos`];
+    if (failed.length > 0) {
+      summary.push('Without transcript:');
+      failed.forEach(entry => {
+        summary.push(`- ${entries.indexOf(entry) + 1}. ${entry.title} (${TranscriptUrls.watchUrl(entry.videoId)}): ${entry.error}`);
+      });
+    }
+
+    return [...sections, summary.join('\n')].join('\n\n---\n\n') + '\n';
+  }
+
+  root.TranscriptFormats = {
+    FORMATS,
+    DEFAULT_FORMAT,
+    TRANSLATION_LAYOUTS,
+    getFormat,
+    resolveTimestamps,
+    fileName,
+    serialize,
+    serializeCollection,
+    toHtml,
+    formatTimestamp,
+    formatClock
+  };
+})(globalThis);
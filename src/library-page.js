@@ -0,0 +1,417 @@
+/**
+ * Library page for Transcript Control
+ * Lists and searches the transcripts kept by src/library.js; a search hit
+ * opens the video at that moment, and saved transcripts can be copied or
+ * exported again in any format or template, one at a time or in bulk
+ */
+
+const LOG_PREFIX = '[TranscriptControl:library]';
+
+function log(...args) {
+  console.log(LOG_PREFIX, ...args);
+}
+
+function logError(...args) {
+  console.error(LOG_PREFIX, ...args);
+}
+
+/**
+ * Hits listed per transcript before the rest are summed up
+ */
+const HITS_SHOWN = 5;
+
+const list = document.getElementById('entries');
+const status = document.getElementById('status');
+const query = document.getElementById('query');
+const output = document.getElementById('output');
+const selectAll = document.getElementById('select-all');
+
+/**
+ * Settings, as last loaded
+ * @type {object}
+ */
+let settings = TranscriptSettings.DEFAULTS;
+
+/**
+ * Records shown, in order
+ * @type {Array<object>}
+ */
+let shown = [];
+
+/**
+ * IDs of the records ticked for bulk export or delete
+ * @type {Set<string>}
+ */
+const selected = new Set();
+
+/**
+ * Show a status line above the list
+ * @param {string} message
+ * @param {boolean} [error]
+ */
+function showStatus(message, error = false) {
+  status.textContent = message;
+  status.classList.toggle('error', error);
+}
+
+/**
+ * Create an element with optional text
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) {
+    node.className = className;
+  }
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+}
+
+/**
+ * Render text with the words a search matched marked
+ * @param {string} text
+ * @param {string[]} terms - Query words
+ * @returns {Node[]}
+ */
+function highlight(text, terms) {
+  const nodes = [];
+  let from = 0;
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (terms.some(term => match[0].toLowerCase().startsWith(term))) {
+      nodes.push(document.createTextNode(text.slice(from, match.index)), element('mark', '', match[0]));
+      from = match.index + match[0].length;
+    }
+  }
+  nodes.push(document.createTextNode(text.slice(from)));
+  return nodes;
+}
+
+/**
+ * Get the output chosen in the toolbar
+ * @returns {{format?: string, template?: {name: string, body: string, extension: string}}}
+ */
+function chosenOutput() {
+  const [kind, name] = output.value.split(/:(.*)/s);
+  if (kind === 'template') {
+    const template = settings.templates.find(t => t.name === name);
+    if (template) {
+      return { template };
+    }
+  }
+  return { format: kind === 'format' ? name : TranscriptFormats.DEFAULT_FORMAT };
+}
+
+/**
+ * Render a saved transcript in the chosen output
+ * Uses the header, chapter and translation layout settings like a copy
+ * @param {object} record - Library record
+ * @returns {{text: string, extension: string, mimeType: string}}
+ */
+function renderRecord(record) {
+  const transcript = settings.chapters ? record : { ...record, chapters: [] };
+  const { format, template } = chosenOutput();
+  if (template) {
+    return {
+      text: TranscriptTemplates.render(template.body, transcript),
+      extension: template.extension,
+      mimeType: TranscriptTemplates.mimeType(template.extension)
+    };
+  }
+  const { extension, mimeType } = TranscriptFormats.getFormat(format);
+  return {
+    text: TranscriptFormats.serialize(transcript, format, { header: settings.header, translationLayout: settings.translationLayout }),
+    extension,
+    mimeType
+  };
+}
+
+/**
+ * Copy a saved transcript to the clipboard
+ * @param {object} record
+ */
+async function copyRecord(record) {
+  try {
+    const { text } = renderRecord(record);
+    await navigator.clipboard.writeText(text);
+    log('Copied', record.id);
+    showStatus(`Copied "${record.details.title || record.videoId}"`);
+  } catch (err) {
+    logError('Copy failed:', err.message);
+    showStatus(`Not copied: ${err.message}`, true);
+  }
+}
+
+/**
+ * Download a saved transcript as a file
+ * @param {object} record
+ */
+function exportRecord(record) {
+  try {
+    const { text, extension, mimeType } = renderRecord(record);
+    const { title, channel } = record.details;
+    TranscriptDownload.saveText(text, TranscriptFormats.fileName({ id: record.videoId, title, channel }, extension), mimeType);
+    log('Exported', record.id);
+  } catch (err) {
+    logError('Export failed:', err.message);
+    showStatus(`Not exported: ${err.message}`, true);
+  }
+}
+
+/**
+ * Download every selected transcript as one document
+ * Formats use the playlist layout; template output is joined with rules
+ */
+function exportSelected() {
+  const records = shown.filter(record => selected.has(record.id));
+  if (records.length === 0) {
+    showStatus('Select transcripts to export first', true);
+    return;
+  }
+  try {
+    const { format, template } = chosenOutput();
+    const date = new Date().toISOString().slice(0, 10);
+    if (template) {
+      const text = records.map(record => renderRecord(record).text).join('\n\n---\n\n');
+      TranscriptDownload.saveText(text, `transcript-library-${date}.${template.extension}`, TranscriptTemplates.mimeType(template.extension));
+    } else {
+      const entries = records.map(record => ({
+        videoId: record.videoId,
+        title: record.details.title || record.videoId,
+        transcript: settings.chapters ? record : { ...record, chapters: [] }
+      }));
+      const { extension, mimeType } = TranscriptFormats.getFormat(format);
+      const text = TranscriptFormats.serializeCollection(entries, format, { translationLayout: settings.translationLayout });
+      TranscriptDownload.saveText(text, `transcript-library-${date}.${extension}`, mimeType);
+    }
+    log('Exported', records.length, 'transcripts');
+    showStatus(`Exported ${records.length} ${records.length === 1 ? 'transcript' : 'transcripts'}`);
+  } catch (err) {
+    logError('Bulk export failed:', err.message);
+    showStatus(`Not exported: ${err.message}`, true);
+  }
+}
+
+/**
+ * Delete every selected transcript, after asking
+ */
+async function deleteSelected() {
+  const ids = shown.filter(record => selected.has(record.id)).map(record => record.id);
+  if (ids.length === 0) {
+    showStatus('Select transcripts to delete first', true);
+    return;
+  }
+  if (!window.confirm(`Delete ${ids.length} saved ${ids.length === 1 ? 'transcript' : 'transcripts'}? This cannot be undone.`)) {
+    return;
+  }
+  let failure = null;
+  try {
+    await TranscriptLibrary.remove(ids);
+    ids.forEach(id => selected.delete(id));
+    log('Deleted', ids.length, 'transcripts');
+    showStatus(`Deleted ${ids.length} ${ids.length === 1 ? 'transcript' : 'transcripts'}`);
+  } catch (err) {
+    logError('Delete failed:', err.message);
+    failure = err;
+  }
+  // Refreshed either way, so the list matches what the library holds
+  await refresh();
+  if (failure) {
+    showStatus(`Nothing deleted: ${failure.message}`, true);
+  }
+}
+
+/**
+ * Build the list item of a record
+ * @param {object} record
+ * @param {Array} [hits] - Search hits in it, see TranscriptLibrary.findHits
+ * @param {string[]} [terms] - Query words, for highlighting
+ * @returns {HTMLLIElement}
+ */
+function renderEntry(record, hits, terms = []) {
+  const { details, track, translation } = record;
+  const item = element('li', 'entry');
+
+  const tick = element('input');
+  tick.type = 'checkbox';
+  tick.checked = selected.has(record.id);
+  tick.setAttribute('aria-label', `Select "${details.title || record.videoId}"`);
+  tick.addEventListener('change', () => {
+    if (tick.checked) {
+      selected.add(record.id);
+    } else {
+      selected.delete(record.id);
+    }
+  });
+
+  const body = element('div', 'entry-body');
+  const title = element('a', 'entry-title');
+  title.href = TranscriptUrls.watchUrl(record.videoId);
+  title.target = '_blank';
+  title.rel = 'noopener';
+  title.append(...highlight(details.title || record.videoId, terms));
+
+  const facts = [
+    details.channel,
+    track && `${track.languageCode || track.name}${track.kind === 'asr' ? ' (auto-generated)' : ''}`,
+    translation && `translated to ${translation.languageCode}`,
+    `${record.cues.length} lines`,
+    `saved ${new Date(record.savedAt).toLocaleString()}`
+  ];
+  body.append(title, element('p', 'hint', facts.filter(Boolean).join(' · ')));
+
+  if (hits?.length > 0) {
+    const hitList = element('ul', 'entry-hits');
+    for (const hit of hits.slice(0, HITS_SHOWN)) {
+      const line = element('li');
+      const link = element('a', '', TranscriptFormats.formatTimestamp(hit.start));
+      link.href = TranscriptUrls.watchUrl(record.videoId, hit.start);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      line.append(link, ' ', ...highlight(hit.text, terms));
+      if (hit.translation) {
+        const translated = element('span', 'entry-translation');
+        translated.append(...highlight(hit.translation, terms));
+        line.append(translated);
+      }
+      hitList.append(line);
+    }
+    if (hits.length > HITS_SHOWN) {
+      hitList.append(element('li', 'hint', `and ${hits.length - HITS_SHOWN} more`));
+    }
+    body.append(hitList);
+  }
+
+  const copy = element('button', '', 'Copy');
+  copy.type = 'button';
+  copy.addEventListener('click', () => copyRecord(record));
+  const save = element('button', '', 'Download');
+  save.type = 'button';
+  save.addEventListener('click', () => exportRecord(record));
+  body.append(copy, ' ', save);
+
+  item.append(tick, body);
+  return item;
+}
+
+/**
+ * Show the whole library, or the records matching the search
+ */
+async function refresh() {
+  const text = query.value.trim();
+  try {
+    const results = text
+      ? await TranscriptLibrary.search(text)
+      : (await TranscriptLibrary.list()).map(record => ({ record }));
+    if (text !== query.value.trim()) {
+      // A newer search is on its way
+      return;
+    }
+    const terms = TranscriptLibrary.tokenize(text);
+    shown = results.map(result => result.record);
+    list.replaceChildren(...results.map(({ record, hits }) => renderEntry(record, hits, terms)));
+    selectAll.checked = shown.length > 0 && shown.every(record => selected.has(record.id));
+    if (text) {
+      showStatus(results.length === 0 ? 'No saved transcript matches' : `${results.length} matching ${results.length === 1 ? 'transcript' : 'transcripts'}`);
+    } else if (results.length === 0) {
+      showStatus(settings.library
+        ? 'Nothing saved yet. Copied transcripts appear here.'
+        : 'Nothing saved. Turn on the library in the settings to keep copied transcripts.');
+    } else {
+      showStatus('');
+    }
+  } catch (err) {
+    logError('Could not read library:', err.message);
+    showStatus(`Library not readable: ${err.message}`, true);
+  }
+}
+
+/**
+ * Describe whether copies are kept and for how long
+ */
+function showSummary() {
+  const days = settings.libraryMaxDays > 0 ? ` for ${settings.libraryMaxDays} days` : '';
+  document.getElementById('summary').textContent = settings.library
+    ? `Copied transcripts are kept in this browser only: the newest ${settings.libraryMaxEntries}${days}. Search matches the start of words.`
+    : 'The library is off, so new copies are not kept. Turn it on under Library in the settings.';
+}
+
+/**
+ * Fill the output list with the formats and saved templates
+ * The choice starts at the output copies use
+ */
+function fillOutputs() {
+  const previous = output.value;
+  output.length = 0;
+  for (const [name, { label }] of Object.entries(TranscriptFormats.FORMATS)) {
+    output.add(new Option(label, `format:${name}`));
+  }
+  for (const { name } of settings.templates) {
+    output.add(new Option(`Template: ${name}`, `template:${name}`));
+  }
+  const copies = settings.template && settings.templates.some(t => t.name === settings.template)
+    ? `template:${settings.template}`
+    : `format:${TranscriptFormats.resolveTimestamps(settings.format, settings.timestamps)}`;
+  output.value = [...output.options].some(option => option.value === previous) ? previous : copies;
+}
+
+/**
+ * Apply loaded settings to the page
+ * @param {object} loaded
+ */
+function applySettings(loaded) {
+  settings = loaded;
+  fillOutputs();
+  showSummary();
+}
+
+let searchTimer = null;
+query.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(refresh, 200);
+});
+selectAll.addEventListener('change', () => {
+  shown.forEach(record => (selectAll.checked ? selected.add(record.id) : selected.delete(record.id)));
+  list.querySelectorAll('.entry input[type="checkbox"]').forEach((tick) => {
+    tick.checked = selectAll.checked;
+  });
+});
+document.getElementById('toolbar').addEventListener('submit', event => event.preventDefault());
+document.getElementById('export-selected').addEventListener('click', exportSelected);
+document.getElementById('delete-selected').addEventListener('click', deleteSelected);
+TranscriptSettings.onChange((keys, loaded) => applySettings(loaded));
+
+/**
+ * Apply the settings and retention limits, then list the library
+ * The list is shown even when either step fails, on default settings if need be
+ */
+async function start() {
+  let failure = null;
+  try {
+    const loaded = await TranscriptSettings.load();
+    applySettings(loaded);
+    // Retention also covers limits lowered since the last copy
+    const pruned = await TranscriptLibrary.prune({ maxEntries: loaded.libraryMaxEntries, maxDays: loaded.libraryMaxDays });
+    if (pruned > 0) {
+      log('Removed', pruned, 'transcripts past the retention limits');
+    }
+  } catch (err) {
+    logError('Could not apply the retention limits:', err.message);
+    failure = err;
+    if (output.length === 0) {
+      // Settings never loaded
+      applySettings(settings);
+    }
+  }
+  await refresh();
+  if (failure) {
+    showStatus(`Retention limits not applied: ${failure.message}`, true);
+  }
+  log('Library page ready');
+}
+
+start();
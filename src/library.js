@@ -0,0 +1,251 @@
+/**
+ * Local transcript library
+ * Keeps copied transcripts in the extension's own IndexedDB, so they can be
+ * searched, re-copied and exported later without extracting them again.
+ *
+ * Record: { id, videoId, savedAt, extractedAt, details, track, translation,
+ *           chapters, cues, terms }
+ * One record is kept per video, track and translation language; saving the
+ * same one again replaces it. `terms` holds every distinct word of the title,
+ * channel and cues, lowercased, behind a multi-entry index for search.
+ *
+ * The background service worker saves copies made on YouTube pages, whose
+ * own IndexedDB belongs to YouTube; library.html reads them.
+ */
+(function (root) {
+  const DB_NAME = 'transcript-control';
+  const DB_VERSION = 1;
+  const STORE = 'transcripts';
+
+  /**
+   * Split text into lowercase words for indexing and search
+   * @param {string} text
+   * @returns {string[]} Words in order, repeats kept
+   */
+  function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Build the library record of a transcript
+   * @param {object} transcript - Whole transcript object, untrimmed by range or reflow
+   * @param {Function} [now] - Clock, for tests
+   * @returns {object} Record
+   */
+  function toRecord(transcript, now = Date.now) {
+    const { videoId, details = {}, track = null, translation = null, chapters = [], cues, extractedAt } = transcript;
+    const searchable = [details.title, details.channel, ...cues.flatMap(cue => [cue.text, cue.translation])];
+    return {
+      id: [videoId, track?.id || '', translation?.languageCode || ''].join('|'),
+      videoId,
+      savedAt: new Date(now()).toISOString(),
+      extractedAt: extractedAt || null,
+      details,
+      track,
+      translation: translation ? { languageCode: translation.languageCode, name: translation.name } : null,
+      chapters,
+      cues,
+      terms: [...new Set(searchable.flatMap(tokenize))]
+    };
+  }
+
+  /**
+   * Check whether every query word starts some word of a text
+   * @param {string[]} words - Words of the text
+   * @param {string[]} query - Query words
+   * @returns {boolean}
+   */
+  function matchesAll(words, query) {
+    return query.every(term => words.some(word => word.startsWith(term)));
+  }
+
+  /**
+   * Find where a record matches a search
+   * Query words match the start of a word, so "trans" finds "transcript".
+   * A record matches when every word is found anywhere in it; hits are the
+   * cues holding every word, or failing that any of them.
+   * @param {object} record
+   * @param {string} query
+   * @returns {{title: boolean, hits: Array<{start: number, text: string, translation?: string}>}|null}
+   *   Where it matched, or null when it does not
+   */
+  function findHits(record, query) {
+    const terms = tokenize(query);
+    if (terms.length === 0 || !matchesAll(record.terms, terms)) {
+      return null;
+    }
+    const cueWords = record.cues.map(cue => tokenize(`${cue.text} ${cue.translation || ''}`));
+    let hits = record.cues.filter((cue, i) => matchesAll(cueWords[i], terms));
+    if (hits.length === 0) {
+      hits = record.cues.filter((cue, i) => terms.some(term => cueWords[i].some(word => word.startsWith(term))));
+    }
+    return {
+      title: matchesAll(tokenize(`${record.details.title || ''} ${record.details.channel || ''}`), terms),
+      hits: hits.map(({ start, text, translation }) => ({ start, text, ...(translation ? { translation } : {}) }))
+    };
+  }
+
+  /**
+   * Pick the records a retention limit removes
+   * @param {Array<{id: string, savedAt: string}>} records
+   * @param {object} limits
+   * @param {number} [limits.maxEntries] - Records kept, newest first; 0 for no limit
+   * @param {number} [limits.maxDays] - Days a record is kept; 0 for no limit
+   * @param {Function} [limits.now] - Clock, for tests
+   * @returns {string[]} IDs of records to delete
+   */
+  function selectExpired(records, { maxEntries = 0, maxDays = 0, now = Date.now }) {
+    const cutoff = maxDays > 0 ? new Date(now() - maxDays * 86400000).toISOString() : '';
+    const newestFirst = [...records].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    return newestFirst
+      .filter((record, i) => record.savedAt < cutoff || (maxEntries > 0 && i >= maxEntries))
+      .map(record => record.id);
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>} The request's result
+   */
+  function settle(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open the library database, creating it on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('terms', 'terms', { multiEntry: true });
+      store.createIndex('savedAt', 'savedAt');
+    };
+    return settle(request);
+  }
+
+  /**
+   * Run work against the transcript store in one transaction
+   * @param {IDBTransactionMode} mode
+   * @param {Function} work - Called with the object store; returns a promise
+   * @returns {Promise<*>} The work's result, once the transaction has completed
+   */
+  async function withStore(mode, work) {
+    const db = await open();
+    try {
+      const transaction = db.transaction(STORE, mode);
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      const result = await work(transaction.objectStore(STORE));
+      await done;
+      return result;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Delete records by ID
+   * @param {string[]} ids
+   * @returns {Promise<number>} Records deleted
+   */
+  function remove(ids) {
+    return withStore('readwrite', store => Promise.all(ids.map(id => settle(store.delete(id))))
+      .then(() => ids.length));
+  }
+
+  /**
+   * Read the ID and save time of every record, without loading the cues
+   * @param {IDBObjectStore} store
+   * @returns {Promise<Array<{id: string, savedAt: string}>>}
+   */
+  function listDates(store) {
+    return new Promise((resolve, reject) => {
+      const dates = [];
+      const request = store.index('savedAt').openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(dates);
+          return;
+        }
+        dates.push({ id: cursor.primaryKey, savedAt: cursor.key });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Apply retention limits to the whole library
+   * @param {object} limits - See selectExpired
+   * @returns {Promise<number>} Records deleted
+   */
+  async function prune(limits) {
+    const expired = selectExpired(await withStore('readonly', listDates), limits);
+    return expired.length > 0 ? remove(expired) : 0;
+  }
+
+  /**
+   * Save a transcript, replacing an earlier copy of the same track, then apply retention
+   * @param {object} transcript - Whole transcript object
+   * @param {object} [limits] - Retention limits, see selectExpired
+   * @returns {Promise<{id: string, pruned: number}>} Record ID and records removed by retention
+   */
+  async function save(transcript, limits = {}) {
+    const record = toRecord(transcript);
+    await withStore('readwrite', store => settle(store.put(record)));
+    return { id: record.id, pruned: await prune(limits) };
+  }
+
+  /**
+   * List every record, newest first
+   * @returns {Promise<Array<object>>}
+   */
+  async function list() {
+    const records = await withStore('readonly', store => settle(store.index('savedAt').getAll()));
+    return records.reverse();
+  }
+
+  /**
+   * Search the library
+   * The word index narrows the records by the query's longest word; the
+   * rest is matched in the candidates
+   * @param {string} query
+   * @returns {Promise<Array<{record: object, title: boolean, hits: Array}>>} Matches, newest first
+   */
+  async function search(query) {
+    const terms = tokenize(query);
+    if (terms.length === 0) {
+      return [];
+    }
+    const longest = terms.reduce((a, b) => (b.length > a.length ? b : a));
+    const candidates = await withStore('readonly', async (store) => {
+      const ids = await settle(store.index('terms').getAllKeys(IDBKeyRange.bound(longest, `${longest}\uffff`)));
+      return Promise.all([...new Set(ids)].map(id => settle(store.get(id))));
+    });
+    return candidates
+      .map(record => ({ record, ...findHits(record, query) }))
+      .filter(match => match.hits)
+      .sort((a, b) => b.record.savedAt.localeCompare(a.record.savedAt));
+  }
+
+  root.TranscriptLibrary = {
+    tokenize,
+    toRecord,
+    findHits,
+    selectExpired,
+    save,
+    prune,
+    list,
+    search,
+    remove
+  };
+})(globalThis);
@@ -0,0 +1,323 @@
+/**
+ * Options page for Transcript Control
+ * Edits the synced settings in src/settings.js; every field saves on change,
+ * and the form follows changes made elsewhere (menu toggles, other browsers)
+ */
+
+const LOG_PREFIX = '[TranscriptControl:options]';
+
+function log(...args) {
+  console.log(LOG_PREFIX, ...args);
+}
+
+function logError(...args) {
+  console.error(LOG_PREFIX, ...args);
+}
+
+const form = document.getElementById('settings');
+const status = document.getElementById('status');
+
+/**
+ * Show a status line under the form
+ * @param {string} message
+ * @param {boolean} [error]
+ */
+function showStatus(message, error = false) {
+  status.textContent = message;
+  status.classList.toggle('error', error);
+}
+
+/**
+ * Read a setting's value from its form field
+ * @param {string} name - Setting name
+ * @returns {*}
+ */
+function readField(name) {
+  const field = form.elements[name];
+  if (name === 'silent') {
+    return form.querySelector('input[name="silent"]:checked')?.value === 'true';
+  }
+  if (name === 'trackPreference') {
+    return field.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  if (field.type === 'checkbox') {
+    return field.checked;
+  }
+  if (field.type === 'number') {
+    return Number(field.value);
+  }
+  return field.value.trim();
+}
+
+/**
+ * Show a setting's value in its form field
+ * @param {string} name - Setting name
+ * @param {*} value
+ */
+function writeField(name, value) {
+  const field = form.elements[name];
+  if (name === 'silent') {
+    form.querySelector(`input[name="silent"][value="${value}"]`).checked = true;
+  } else if (name === 'trackPreference') {
+    field.value = value.join('\n');
+  } else if (field.type === 'checkbox') {
+    field.checked = value;
+  } else {
+    field.value = String(value);
+  }
+  field.removeAttribute?.('aria-invalid');
+}
+
+/**
+ * Saved templates, as last loaded
+ * @type {Array<{name: string, body: string, extension: string}>}
+ */
+let templates = [];
+
+/**
+ * Replace the options of a select, keeping its first (empty) option and,
+ * where it still exists, the selected value
+ * @param {HTMLSelectElement} select
+ * @param {string[]} names
+ */
+function fillTemplateSelect(select, names) {
+  const selected = select.value;
+  select.length = 1;
+  names.forEach(name => select.add(new Option(name, name)));
+  select.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Show the saved templates in the template selects
+ * @param {object} settings
+ */
+function fillTemplates(settings) {
+  templates = settings.templates;
+  const names = templates.map(t => t.name);
+  fillTemplateSelect(form.elements.template, names);
+  fillTemplateSelect(document.getElementById('template-pick'), names);
+}
+
+/**
+ * Load the template picked for editing into the editor, or clear it for a new one
+ */
+function editTemplate() {
+  const picked = templates.find(t => t.name === document.getElementById('template-pick').value);
+  document.getElementById('template-name').value = picked?.name || '';
+  document.getElementById('template-extension').value = picked?.extension || 'md';
+  document.getElementById('template-body').value = picked?.body || '';
+}
+
+/**
+ * Save the template in the editor, replacing the one picked for editing
+ * Broken templates are not saved; renaming the template copies use keeps it in use
+ */
+async function saveTemplate() {
+  const previous = document.getElementById('template-pick').value;
+  const template = {
+    name: document.getElementById('template-name').value.trim(),
+    extension: document.getElementById('template-extension').value.trim().replace(/^\./, '').toLowerCase(),
+    body: document.getElementById('template-body').value
+  };
+  try {
+    TranscriptTemplates.compile(template.body);
+  } catch (err) {
+    showStatus(`Template not saved: ${err.message}`, true);
+    return;
+  }
+  if (template.name !== previous && templates.some(t => t.name === template.name)) {
+    showStatus(`Template not saved: "${template.name}" already exists`, true);
+    return;
+  }
+  const updated = previous
+    ? templates.map(t => (t.name === previous ? template : t))
+    : [...templates, template];
+  const { valid, invalid } = TranscriptSettings.validate({ templates: updated });
+  if (invalid.length > 0) {
+    showStatus('Template not saved: it needs a name and an extension of letters and digits, and all templates together must stay under 8 KB', true);
+    return;
+  }
+  try {
+    const { template: inUse } = await TranscriptSettings.load();
+    await TranscriptSettings.save({ ...valid, ...(previous && inUse === previous ? { template: template.name } : {}) });
+  } catch (err) {
+    logError('Template save failed:', err.message);
+    showStatus(`Template not saved: ${err.message}`, true);
+    return;
+  }
+  fillTemplates({ templates: updated });
+  document.getElementById('template-pick').value = template.name;
+  log('Template saved:', template.name);
+  showStatus(`Template "${template.name}" saved`);
+}
+
+/**
+ * Delete the template picked for editing
+ */
+async function deleteTemplate() {
+  const name = document.getElementById('template-pick').value;
+  if (!name) {
+    return;
+  }
+  const updated = templates.filter(t => t.name !== name);
+  try {
+    const { template: inUse } = await TranscriptSettings.load();
+    await TranscriptSettings.save({ templates: updated, ...(inUse === name ? { template: '' } : {}) });
+  } catch (err) {
+    logError('Template delete failed:', err.message);
+    showStatus(`Template not deleted: ${err.message}`, true);
+    return;
+  }
+  fillTemplates({ templates: updated });
+  editTemplate();
+  log('Template deleted:', name);
+  showStatus(`Template "${name}" deleted`);
+}
+
+/**
+ * Fill the form with settings, leaving the field being edited alone
+ * @param {object} settings
+ */
+function fill(settings) {
+  fillTemplates(settings);
+  for (const name of Object.keys(TranscriptSettings.DEFAULTS)) {
+    if (!form.elements[name] || form.elements[name] === document.activeElement) {
+      continue;
+    }
+    writeField(name, settings[name]);
+  }
+}
+
+/**
+ * Save the setting behind a changed field, if its value is valid
+ * @param {Event} event
+ */
+async function handleChange(event) {
+  const { name } = event.target;
+  if (!(name in TranscriptSettings.DEFAULTS)) {
+    return;
+  }
+  const { valid, invalid } = TranscriptSettings.validate({ [name]: readField(name) });
+  event.target.setAttribute('aria-invalid', String(invalid.length > 0));
+  if (invalid.length > 0) {
+    showStatus(`Not saved: "${event.target.closest('label').textContent.trim()}" has an invalid value`, true);
+    return;
+  }
+  try {
+    await TranscriptSettings.save(valid);
+  } catch (err) {
+    // Sync storage quotas and write rate limits end up here
+    logError('Save failed:', name, err.message);
+    showStatus(`Not saved: ${err.message}`, true);
+    return;
+  }
+  log('Saved', name);
+  showStatus('Saved');
+}
+
+/**
+ * Restore every setting to its default
+ */
+async function restoreDefaults() {
+  try {
+    await TranscriptSettings.save(TranscriptSettings.DEFAULTS);
+  } catch (err) {
+    logError('Restoring defaults failed:', err.message);
+    showStatus(`Not saved: ${err.message}`, true);
+    return;
+  }
+  log('Settings restored to defaults');
+  showStatus('Defaults restored');
+}
+
+/**
+ * Download every setting as a JSON file
+ */
+async function exportSettings() {
+  const json = await TranscriptSettings.exportSettings();
+  TranscriptDownload.saveText(json, 'transcript-control-settings.json', 'application/json');
+  log('Settings exported');
+  showStatus('Settings exported');
+}
+
+/**
+ * Import settings from the chosen JSON file
+ * @param {Event} event
+ */
+async function importSettings(event) {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+  try {
+    const { applied, ignored } = await TranscriptSettings.importSettings(await file.text());
+    log('Settings imported:', applied, 'ignored:', ignored);
+    showStatus(`Imported ${applied.length} settings` + (ignored.length > 0 ? `; ignored unknown keys: ${ignored.join(', ')}` : ''));
+  } catch (err) {
+    logError('Import failed:', err.message);
+    showStatus(`Nothing imported: ${err.message}`, true);
+  }
+}
+
+/**
+ * Ask for access to the endpoint's host and send it a test transcript
+ * Host access can only be requested from a click, so this is a button
+ * rather than part of saving the address
+ */
+async function testEndpoint() {
+  const url = readField('endpointUrl');
+  if (!url || TranscriptSettings.validate({ endpointUrl: url }).invalid.length > 0) {
+    showStatus('Enter an http or https endpoint address first', true);
+    return;
+  }
+  const { protocol, hostname } = new URL(url);
+  const granted = await chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+  // Without access the request still goes out, and works if the endpoint sends CORS headers
+  log('Access to', hostname, granted ? 'granted' : 'not granted');
+  const { format } = await TranscriptSettings.load();
+  const response = await chrome.runtime.sendMessage({
+    type: 'SEND_TO_ENDPOINT',
+    url,
+    transcript: { videoId: 'test', details: { title: 'Transcript Control test' }, cues: [{ start: 0, duration: 2000, text: 'Test delivery' }] },
+    text: 'Test delivery',
+    format,
+    timeoutMs: 10000,
+    test: true
+  });
+  if (response?.ok) {
+    log('Test delivery accepted, status:', response.status);
+    showStatus(`Test transcript delivered (HTTP ${response.status})`);
+  } else {
+    logError('Test delivery failed:', response?.error?.message);
+    showStatus(response?.error?.message || 'Test delivery failed', true);
+  }
+}
+
+/**
+ * Populate the format list from the formats module
+ */
+function fillFormats() {
+  const select = form.elements.format;
+  for (const [name, { label }] of Object.entries(TranscriptFormats.FORMATS)) {
+    select.add(new Option(label, name));
+  }
+}
+
+fillFormats();
+TranscriptSettings.load().then(fill, (err) => {
+  logError('Loading settings failed:', err.message);
+  showStatus(`Settings not loaded: ${err.message}`, true);
+});
+TranscriptSettings.onChange((keys, settings) => fill(settings));
+form.addEventListener('change', handleChange);
+form.addEventListener('submit', event => event.preventDefault());
+document.getElementById('export').addEventListener('click', exportSettings);
+document.getElementById('endpoint-test').addEventListener('click', testEndpoint);
+document.getElementById('template-pick').addEventListener('change', editTemplate);
+document.getElementById('template-save').addEventListener('click', saveTemplate);
+document.getElementById('template-delete').addEventListener('click', deleteTemplate);
+document.getElementById('import').addEventListener('click', () => document.getElementById('import-file').click());
+document.getElementById('import-file').addEventListener('change', importSettings);
+document.getElementById('reset').addEventListener('click', restoreDefaults);
+log('Options page ready');
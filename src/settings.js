@@ -0,0 +1,227 @@
+/**
+ * Extension settings
+ * Thin wrapper over chrome.storage.sync with defaults and validation for
+ * every key, shared by the content script and the options page. Format
+ * names are checked against formats.js.
+ */
+(function (root) {
+  /**
+   * Default values for every setting
+   * trackPreference entries are "<languageCode>[:manual|asr]" or "*" for any track,
+   * tried in order until one matches an available caption track
+   * format is the plain-text clipboard format; rich formats also copy linked HTML
+   * header is the metadata header style: 'none', 'text' or 'yaml'
+   * templates are user templates ({ name, body, extension }, see templates.js);
+   * template names the one copies use instead of the format, '' for none
+   * timestamps off turns the timestamped text formats into plain text
+   * prefetch starts extracting as soon as a video page opens, so copies are instant;
+   * off by default, as it sends player and caption requests for every video opened
+   * delivery is where copies go: 'clipboard', 'download' (a file) or 'both'
+   * chunked copies split the transcript into labelled parts of at most chunkSize
+   * chunkUnit ('tokens' or 'characters'), repeating chunkOverlap cues between
+   * parts, and each click copies the next part
+   * endpointUrl, when set, also POSTs each transcript there as JSON;
+   * endpointOnly sends it there instead of to the delivery target
+   * bilingual adds YouTube's machine translation into translationLanguage to
+   * every line, laid out per translationLayout ('interleaved' or 'side-by-side')
+   * library keeps every copied transcript in a local library (library.html),
+   * at most libraryMaxEntries of them, for libraryMaxDays days (0 for no limit)
+   * hl and gl are the interface language and region sent to YouTube's API
+   * timeoutSeconds is how long to wait for the page script without any answer
+   */
+  const DEFAULTS = {
+    trackPreference: ['en:manual', 'en:asr', '*'],
+    format: 'timestamped',
+    timestamps: true,
+    header: 'none',
+    templates: [],
+    template: '',
+    delivery: 'clipboard',
+    chunked: false,
+    chunkSize: 3000,
+    chunkUnit: 'tokens',
+    chunkOverlap: 0,
+    endpointUrl: '',
+    endpointOnly: false,
+    bilingual: false,
+    translationLanguage: 'en',
+    translationLayout: 'interleaved',
+    library: false,
+    libraryMaxEntries: 200,
+    libraryMaxDays: 0,
+    silent: false,
+    prefetch: false,
+    reflow: false,
+    chapters: true,
+    rangeMinutes: 5,
+    playlistConcurrency: 3,
+    hl: 'en',
+    gl: 'US',
+    timeoutSeconds: 15
+  };
+
+  const isBoolean = value => typeof value === 'boolean';
+  const isTemplateName = value => typeof value === 'string' && value.trim() === value && value.length >= 1 && value.length <= 60;
+
+  /**
+   * chrome.storage.sync limit for a single setting, in bytes
+   */
+  const SYNC_ITEM_BYTES = 8192;
+
+  /**
+   * Count the UTF-8 bytes of a string, the unit of the sync storage quota
+   * @param {string} text
+   * @returns {number}
+   */
+  const utf8Length = text => encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '.').length;
+  const isIntegerIn = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+
+  /**
+   * Check for every setting, so imported files cannot store values the
+   * scripts would trip over
+   */
+  const VALIDATORS = {
+    trackPreference: value => Array.isArray(value) && value.length > 0 &&
+      value.every(entry => typeof entry === 'string' && /^(\*|[A-Za-z]{2,3}(-[A-Za-z0-9]+)*(:(manual|asr))?)$/.test(entry)),
+    format: value => typeof value === 'string' && Object.hasOwn(TranscriptFormats.FORMATS, value),
+    timestamps: isBoolean,
+    header: value => ['none', 'text', 'yaml'].includes(value),
+    templates: value => Array.isArray(value) && value.length <= 20 &&
+      value.every(t => isTemplateName(t?.name) && typeof t.body === 'string' && /^[a-z0-9]{1,8}$/.test(t.extension)) &&
+      new Set(value.map(t => t.name)).size === value.length &&
+      utf8Length('templates' + JSON.stringify(value)) <= SYNC_ITEM_BYTES,
+    template: value => value === '' || isTemplateName(value),
+    delivery: value => ['clipboard', 'download', 'both'].includes(value),
+    chunked: isBoolean,
+    chunkSize: isIntegerIn(100, 1000000),
+    chunkUnit: value => ['tokens', 'characters'].includes(value),
+    chunkOverlap: isIntegerIn(0, 20),
+    endpointUrl: value => value === '' || (typeof value === 'string' && /^https?:\/\/[^\s/?#]+[^\s]*$/.test(value)),
+    endpointOnly: isBoolean,
+    bilingual: isBoolean,
+    translationLanguage: value => typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/.test(value),
+    translationLayout: value => ['interleaved', 'side-by-side'].includes(value),
+    library: isBoolean,
+    libraryMaxEntries: isIntegerIn(1, 10000),
+    libraryMaxDays: isIntegerIn(0, 3650),
+    silent: isBoolean,
+    prefetch: isBoolean,
+    reflow: isBoolean,
+    chapters: isBoolean,
+    rangeMinutes: isIntegerIn(1, 600),
+    playlistConcurrency: isIntegerIn(1, 10),
+    hl: value => typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/.test(value),
+    gl: value => typeof value === 'string' && /^[A-Z]{2}$/.test(value),
+    timeoutSeconds: isIntegerIn(5, 300)
+  };
+
+  /**
+   * Load all settings, filling in defaults for missing keys
+   * @returns {Promise<object>} Settings object
+   */
+  async function load() {
+    const stored = await chrome.storage.sync.get(Object.keys(DEFAULTS));
+    return { ...DEFAULTS, ...stored };
+  }
+
+  /**
+   * Persist a partial settings object
+   * @param {object} changes - Keys to update
+   * @returns {Promise<void>}
+   */
+  function save(changes) {
+    return chrome.storage.sync.set(changes);
+  }
+
+  /**
+   * Call back whenever settings change, in any tab or synced browser
+   * @param {Function} callback - Called with the changed keys and the full settings
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      if (area !== 'sync') {
+        return;
+      }
+      const keys = Object.keys(changes).filter(key => key in DEFAULTS);
+      if (keys.length > 0) {
+        callback(keys, await load());
+      }
+    });
+  }
+
+  /**
+   * Check a partial settings object
+   * @param {object} changes
+   * @returns {{valid: object, invalid: string[], unknown: string[]}} Valid values, and the keys
+   *   with a bad value or no such setting
+   */
+  function validate(changes) {
+    const result = { valid: {}, invalid: [], unknown: [] };
+    for (const [key, value] of Object.entries(changes)) {
+      if (!VALIDATORS[key]) {
+        result.unknown.push(key);
+      } else if (VALIDATORS[key](value)) {
+        result.valid[key] = value;
+      } else {
+        result.invalid.push(key);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Serialize every setting for sharing
+   * @returns {Promise<string>} Pretty-printed JSON
+   */
+  async function exportSettings() {
+    return JSON.stringify(await load(), null, 2) + '\n';
+  }
+
+  /**
+   * Save settings from an exported JSON file
+   * Nothing is saved unless every known setting in the file is valid; keys
+   * that are not settings are skipped and reported
+   * @param {string} json - File contents
+   * @returns {Promise<{applied: string[], ignored: string[]}>} Saved and skipped keys
+   */
+  async function importSettings(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      throw new TranscriptErrors.TranscriptError('INVALID_OPTION', `Settings file is not JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new TranscriptErrors.TranscriptError('INVALID_OPTION', 'Settings file must hold a JSON object');
+    }
+    const { valid, invalid, unknown } = validate(data);
+    if (invalid.length > 0) {
+      throw new TranscriptErrors.TranscriptError('INVALID_OPTION', `Invalid settings: ${invalid.join(', ')}`, { keys: invalid });
+    }
+    await save(valid);
+    return { applied: Object.keys(valid), ignored: unknown };
+  }
+
+  /**
+   * Move a track preference entry to the front of the preference list
+   * @param {string} entry - Preference entry, e.g. "en:asr"
+   * @returns {Promise<string[]>} Updated preference list
+   */
+  async function promoteTrackPreference(entry) {
+    const { trackPreference } = await load();
+    const updated = [entry, ...trackPreference.filter(e => e !== entry)];
+    await save({ trackPreference: updated });
+    return updated;
+  }
+
+  root.TranscriptSettings = {
+    DEFAULTS,
+    load,
+    save,
+    onChange,
+    validate,
+    exportSettings,
+    importSettings,
+    promoteTrackPreference
+  };
+})(globalThis);
@@ -0,0 +1,207 @@
+/**
+ * User-defined output templates
+ * A small placeholder language for layouts the built-in formats do not
+ * cover, e.g. Obsidian notes, wiki tables or prompts.
+ *
+ *   {{title}}                     metadata placeholder
+ *   {{title|json}}                placeholder through a filter
+ *   {{#cues}}…{{/cues}}           block repeated per cue (per paragraph when reflowed)
+ *   {{#chapters}}…{{/chapters}}   block repeated per chapter
+ *   {{#channel}}…{{/channel}}     block kept only when the value is not empty,
+ *                                 e.g. {{#translation}}…{{/translation}} in bilingual cues
+ *
+ * A block tag alone on its line takes the line with it, so blocks can be
+ * written one tag per line without leaving blank lines behind.
+ */
+(function (root) {
+  /**
+   * Placeholders, by the block they can be used in
+   */
+  const FIELDS = {
+    transcript: ['title', 'channel', 'url', 'videoId', 'date', 'published', 'duration', 'language', 'captions', 'translationLanguage', 'text', 'cues', 'chapters'],
+    cues: ['index', 'start', 'end', 'seconds', 'text', 'translation', 'link', 'chapter'],
+    chapters: ['index', 'start', 'title', 'link']
+  };
+
+  /**
+   * Filters applied with {{name|filter}}
+   */
+  const FILTERS = {
+    // A quoted string, also valid as a YAML scalar
+    json: value => JSON.stringify(value),
+    // Safe inside a Markdown table cell
+    table: value => value.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' '),
+    url: value => encodeURIComponent(value)
+  };
+
+  /**
+   * MIME types of downloaded template output, by file extension
+   */
+  const MIME_TYPES = {
+    md: 'text/markdown',
+    html: 'text/html',
+    csv: 'text/csv',
+    json: 'application/json'
+  };
+
+  /**
+   * Get the MIME type of a template's downloaded file
+   * @param {string} extension - The template's file extension
+   * @returns {string} Plain text unless the extension says otherwise
+   */
+  function mimeType(extension) {
+    return MIME_TYPES[extension] || 'text/plain';
+  }
+
+  const TAG = /\{\{\s*([#/]?)\s*([A-Za-z]+)\s*(?:\|\s*([A-Za-z]+)\s*)?\}\}/g;
+  const STANDALONE_BLOCK_TAG = /(?<=^|\n)[ \t]*(\{\{\s*[#/][^}]*\}\})[ \t]*(?:\r?\n|$)/g;
+
+  /**
+   * Fail with an INVALID_OPTION error naming the template problem
+   * @param {string} message
+   */
+  function invalid(message) {
+    throw new TranscriptErrors.TranscriptError('INVALID_OPTION', `Template error: ${message}`);
+  }
+
+  /**
+   * Parse a template into a tree, checking every placeholder and block
+   * @param {string} body - Template text
+   * @returns {Array} Nodes: strings, { name, filter } placeholders and { block, children } blocks
+   */
+  function compile(body) {
+    const rootNode = { block: null, fields: FIELDS.transcript, children: [] };
+    const stack = [rootNode];
+    const source = body.replace(STANDALONE_BLOCK_TAG, '$1');
+    let last = 0;
+    let match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+      const [tag, kind, name, filter] = match;
+      const parent = stack[stack.length - 1];
+      if (match.index > last) {
+        parent.children.push(source.slice(last, match.index));
+      }
+      last = TAG.lastIndex;
+
+      if (!stack.some(node => node.fields.includes(name))) {
+        invalid(`unknown placeholder ${tag}`);
+      }
+      if (kind && filter) {
+        invalid(`blocks take no filter: ${tag}`);
+      }
+      if (!kind && FIELDS[name]) {
+        invalid(`${tag} repeats, so use {{#${name}}}…{{/${name}}}`);
+      }
+      if (kind === '#') {
+        const node = { block: name, fields: FIELDS[name] || [], children: [] };
+        parent.children.push(node);
+        stack.push(node);
+      } else if (kind === '/') {
+        if (parent.block !== name) {
+          invalid(parent.block ? `${tag} closes {{#${parent.block}}}` : `${tag} has no opening {{#${name}}}`);
+        }
+        stack.pop();
+      } else {
+        if (filter && !FILTERS[filter]) {
+          invalid(`unknown filter "${filter}" in ${tag}`);
+        }
+        parent.children.push({ name, filter });
+      }
+    }
+    if (stack.length > 1) {
+      invalid(`{{#${stack[stack.length - 1].block}}} is never closed`);
+    }
+    if (last < source.length) {
+      rootNode.children.push(source.slice(last));
+    }
+    return rootNode.children;
+  }
+
+  /**
+   * Build the placeholder values of a transcript
+   * Times are rendered like the timestamped format; links open the video there
+   * @param {object} transcript - Transcript object with cues
+   * @returns {object}
+   */
+  function templateData(transcript) {
+    const { details = {}, track, cues, chapters = [] } = transcript;
+    const watchUrl = ms => TranscriptUrls.watchUrl(transcript.videoId, ms);
+    const stamp = TranscriptFormats.formatTimestamp;
+    return {
+      title: details.title,
+      channel: details.channel,
+      url: watchUrl(),
+      videoId: transcript.videoId,
+      date: (transcript.extractedAt || new Date().toISOString()).slice(0, 10),
+      published: details.published,
+      duration: details.lengthMs ? stamp(details.lengthMs) : null,
+      language: track?.languageCode,
+      captions: track ? (track.kind === 'asr' ? 'auto-generated' : 'manual') : null,
+      translationLanguage: transcript.translation?.languageCode,
+      text: cues.map(cue => cue.text).join(transcript.paragraphs ? '\n\n' : '\n'),
+      cues: cues.map((cue, i) => {
+        const chapter = chapters.filter(c => c.start <= cue.start).pop();
+        return {
+          index: i + 1,
+          start: stamp(cue.start),
+          end: stamp(cue.duration > 0 ? cue.start + cue.duration : cues[i + 1]?.start ?? cue.start),
+          seconds: Math.floor(cue.start / 1000),
+          text: cue.text,
+          translation: cue.translation,
+          link: watchUrl(cue.start),
+          chapter: chapter?.title
+        };
+      }),
+      chapters: chapters.map((chapter, i) => ({
+        index: i + 1,
+        start: stamp(chapter.start),
+        title: chapter.title,
+        link: watchUrl(chapter.start)
+      }))
+    };
+  }
+
+  /**
+   * Render compiled nodes against a stack of scopes, innermost last
+   * @param {Array} nodes
+   * @param {Array<object>} scopes
+   * @returns {string}
+   */
+  function renderNodes(nodes, scopes) {
+    const lookup = name => scopes.findLast(scope => name in scope)?.[name];
+    return nodes.map((node) => {
+      if (typeof node === 'string') {
+        return node;
+      }
+      const value = lookup(node.block ?? node.name);
+      if (node.block) {
+        if (Array.isArray(value)) {
+          return value.map(item => renderNodes(node.children, [...scopes, item])).join('');
+        }
+        return value ? renderNodes(node.children, scopes) : '';
+      }
+      const text = value === null || value === undefined ? '' : String(value);
+      return node.filter ? FILTERS[node.filter](text) : text;
+    }).join('');
+  }
+
+  /**
+   * Render a transcript through a template
+   * @param {string} body - Template text
+   * @param {object} transcript - Transcript object with cues
+   * @returns {string} Rendered text; throws INVALID_OPTION for a broken template
+   */
+  function render(body, transcript) {
+    return renderNodes(compile(body), [templateData(transcript)]);
+  }
+
+  root.TranscriptTemplates = {
+    FIELDS,
+    FILTERS,
+    compile,
+    render,
+    mimeType
+  };
+})(globalThis);
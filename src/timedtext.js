@@ -0,0 +1,264 @@
+/**
+ * Caption track parsing
+ * Turns every timedtext variant YouTube serves into the cue model
+ * ({ start, duration, text, words? }, milliseconds)
+ *
+ *   srv1:  <transcript><text start="1.5" dur="2.0">…</text></transcript>, seconds
+ *   srv2:  <timedtext><text t="1500" d="2000">…</text></timedtext>
+ *   srv3:  <timedtext format="3"><body><p t="1500" d="2000">…</p></body></timedtext>,
+ *          ASR cues wrap each word in <s t="offset">
+ *   json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8, tOffsetMs }] }] }
+ *
+ * Word timings (srv3 <s>, json3 segs) are kept as `words: [{ start, text }]`
+ * with absolute start times, so formats can use them.
+ */
+(function (root) {
+  const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+  };
+
+  /**
+   * Decode XML and HTML character references
+   * @param {string} text
+   * @returns {string}
+   */
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, ref) => {
+      if (ref[0] === '#') {
+        const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return NAMED_ENTITIES[ref] ?? match;
+    });
+  }
+
+  /**
+   * Collapse whitespace, including line breaks inside a cue, to single spaces
+   * @param {string} text
+   * @returns {string}
+   */
+  function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+|<)/g;
+  const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  /**
+   * Parse XML into a lightweight element tree
+   * Tolerant of what caption tracks contain: unclosed tags are closed by
+   * their parent, and stray '<' is kept as text. Comments, processing
+   * instructions and doctypes are skipped.
+   * @param {string} xml
+   * @returns {{name: string, attrs: object, children: Array}} Root node; children are nodes or strings
+   */
+  function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+    let match;
+
+    XML_TOKEN.lastIndex = 0;
+    while ((match = XML_TOKEN.exec(xml)) !== null) {
+      const [, cdata, closing, opening, rawAttrs, selfClosing, text] = match;
+      const parent = stack[stack.length - 1];
+      if (cdata !== undefined) {
+        parent.children.push(cdata);
+      } else if (text !== undefined) {
+        parent.children.push(decodeEntities(text));
+      } else if (opening) {
+        const attrs = {};
+        for (const [, name, double, single] of rawAttrs.matchAll(XML_ATTRIBUTE)) {
+          attrs[name] = decodeEntities(double ?? single);
+        }
+        const element = { name: opening, attrs, children: [] };
+        parent.children.push(element);
+        if (!selfClosing) {
+          stack.push(element);
+        }
+      } else if (closing) {
+        const index = stack.findLastIndex(element => element.name === closing);
+        if (index > 0) {
+          stack.length = index;
+        }
+      }
+    }
+    return root;
+  }
+
+  /**
+   * Collect every element with a name, in document order
+   * @param {object} node
+   * @param {string} name
+   * @param {Array} [found] - Accumulator
+   * @returns {Array}
+   */
+  function findElements(node, name, found = []) {
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        continue;
+      }
+      if (child.name === name) {
+        found.push(child);
+      } else {
+        findElements(child, name, found);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get the text of an element, with <br> as a line break
+   * @param {object} node
+   * @returns {string}
+   */
+  function textContent(node) {
+    return node.children
+      .map(child => typeof child === 'string' ? child : child.name === 'br' ? '\n' : textContent(child))
+      .join('');
+  }
+
+  /**
+   * Read a numeric attribute
+   * @param {object} element
+   * @param {string} name
+   * @param {number} [scale] - Multiplier, e.g. 1000 for seconds
+   * @returns {number|null}
+   */
+  function numberAttr(element, name, scale = 1) {
+    const value = parseFloat(element.attrs[name]);
+    return Number.isFinite(value) ? Math.round(value * scale) : null;
+  }
+
+  /**
+   * Build a cue, dropping empty text
+   * @param {number} start
+   * @param {number} duration
+   * @param {string} text
+   * @param {Array<{start: number, text: string}>} [words]
+   * @returns {object|null}
+   */
+  function makeCue(start, duration, text, words) {
+    const cleaned = cleanText(text);
+    if (!cleaned) {
+      return null;
+    }
+    const timedWords = (words || [])
+      .map(word => ({ start: word.start, text: cleanText(word.text) }))
+      .filter(word => word.text);
+    return timedWords.length > 0 ? { start, duration, text: cleaned, words: timedWords } : { start, duration, text: cleaned };
+  }
+
+  /**
+   * Parse srv1 and srv2 <text> cues
+   * srv1 uses start/dur in seconds and escapes formatting tags in its text
+   * @param {object} document - Parsed XML
+   * @returns {Array} Cues
+   */
+  function parseTextElements(document) {
+    return findElements(document, 'text').map((element) => {
+      const seconds = element.attrs.start !== undefined;
+      const start = seconds ? numberAttr(element, 'start', 1000) : numberAttr(element, 't');
+      const duration = (seconds ? numberAttr(element, 'dur', 1000) : numberAttr(element, 'd')) ?? 0;
+      // srv1 text arrives entity-encoded twice, with markup such as <i> or <font>
+      const text = seconds
+        ? decodeEntities(textContent(element)).replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        : textContent(element);
+      return start === null ? null : makeCue(start, duration, text);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Parse srv3 <p> cues, keeping <s> word segments as word timings
+   * @param {object} document - Parsed XML
+   * @returns {Array} Cues
+   */
+  function parseParagraphElements(document) {
+    return findElements(document, 'p').map((element) => {
+      const start = numberAttr(element, 't');
+      if (start === null) {
+        return null;
+      }
+      const segments = element.children.filter(child => typeof child !== 'string' && child.name === 's');
+      const words = segments.map(segment => ({ start: start + (numberAttr(segment, 't') ?? 0), text: textContent(segment) }));
+      return makeCue(start, numberAttr(element, 'd') ?? 0, textContent(element), words);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Parse json3 events, keeping timed segments as word timings
+   * Events without segments define windows and are skipped
+   * @param {string} body
+   * @returns {Array} Cues
+   */
+  function parseJson3(body) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return [];
+    }
+    return (data?.events || []).map((event) => {
+      if (!Array.isArray(event.segs)) {
+        return null;
+      }
+      const start = event.tStartMs || 0;
+      const timed = event.segs.length > 1 || event.segs.some(seg => seg.tOffsetMs !== undefined);
+      const words = timed ? event.segs.map(seg => ({ start: start + (seg.tOffsetMs || 0), text: seg.utf8 || '' })) : [];
+      return makeCue(start, event.dDurationMs || 0, event.segs.map(seg => seg.utf8 || '').join(''), words);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Work out which timedtext variant a response body is
+   * @param {string} body - Caption track response
+   * @returns {'srv1'|'srv2'|'srv3'|'json3'|null}
+   */
+  function detectFormat(body) {
+    const head = body.trimStart();
+    if (head.startsWith('{')) {
+      return 'json3';
+    }
+    if (/<transcript[\s>]/.test(head)) {
+      return 'srv1';
+    }
+    if (/<timedtext[^>]*\bformat\s*=\s*["']3["']/.test(head) || /<p\s[^>]*\bt=/.test(head)) {
+      return 'srv3';
+    }
+    if (/<timedtext[\s>]/.test(head)) {
+      return 'srv2';
+    }
+    return null;
+  }
+
+  /**
+   * Parse a caption track response into cues
+   * @param {string} body - Caption track response in any supported variant
+   * @returns {Array<{start: number, duration: number, text: string, words?: Array}>} Cues in start order,
+   *   empty when the body is not a recognised variant
+   */
+  function parseTimedText(body) {
+    const format = detectFormat(body);
+    if (format === 'json3') {
+      return parseJson3(body);
+    }
+    if (format === 'srv3') {
+      return parseParagraphElements(parseXml(body));
+    }
+    if (format === 'srv1' || format === 'srv2') {
+      return parseTextElements(parseXml(body));
+    }
+    return [];
+  }
+
+  root.TranscriptTimedText = {
+    decodeEntities,
+    parseXml,
+    detectFormat,
+    parseTimedText
+  };
+})(globalThis);
@@ -3,7 +3,9 @@
  * Extracts full transcript from YouTube video using Innertube API with Android client
  *
  * Uses Android client context to bypass PoToken requirement (exp=xpe parameter)
- * that would otherwise cause empty responses from caption endpoints.
+ * that would otherwise cause empty responses from caption endpoints. When that
+ * stops working, a ladder of fallback strategies is tried in order (ADR-006).
+ * Failures are TranscriptErrors with stable codes (src/errors.js).
  */
 
 const LOG_PREFIX = '[TranscriptControl:transcript]';
@@ -18,6 +20,8 @@ function logError(...args) {
 
 log('Transcript module loaded');
 
+const { TranscriptError } = TranscriptErrors;
+
 /**
  * Android client context for Innertube API
  * This bypasses the PoToken requirement that web client URLs have
@@ -26,19 +30,66 @@ const ANDROID_CONTEXT = {
   client: {
     clientName: 'ANDROID',
     clientVersion: '19.09.37',
-    androidSdkVersion: 30,
-    hl: 'en',
-    gl: 'US'
+    androidSdkVersion: 30
+  }
+};
+
+/**
+ * iOS client context for Innertube API
+ * Fallback for when the Android client version is retired
+ */
+const IOS_CONTEXT = {
+  client: {
+    clientName: 'IOS',
+    clientVersion: '19.09.3',
+    deviceModel: 'iPhone14,3'
+  }
+};
+
+/**
+ * Embedded TV player client context for Innertube API
+ * Fallback that is served caption URLs without PoToken for most embeddable videos
+ */
+const TV_EMBEDDED_CONTEXT = {
+  client: {
+    clientName: 'TVHTML5_SIMPLY_EMBEDDED_PLAYER',
+    clientVersion: '2.0'
+  },
+  thirdParty: {
+    embedUrl: 'https://www.youtube.com/'
   }
 };
 
+/**
+ * Interface language and region sent with every client context above
+ * Set from the extension settings by the content script (CONFIGURE)
+ */
+const clientLocale = { hl: 'en', gl: 'US' };
+
+/**
+ * Apply new locale settings
+ * Cached transcripts carry track names in the old language, so they are dropped
+ * @param {object} locale
+ * @param {string} [locale.hl] - Interface language, e.g. 'en'
+ * @param {string} [locale.gl] - Region, e.g. 'US'
+ * @returns {{hl: string, gl: string}} Locale now in use
+ */
+function configureLocale({ hl = clientLocale.hl, gl = clientLocale.gl } = {}) {
+  if (hl !== clientLocale.hl || gl !== clientLocale.gl) {
+    log('Client locale now', hl, gl);
+    Object.assign(clientLocale, { hl, gl });
+    transcriptCache.clear();
+  }
+  return { ...clientLocale };
+}
+
 /**
  * Extract video ID from current URL
+ * Covers watch, Shorts, live and embed pages (see TranscriptUrls.parseVideoId)
  * @returns {string|null} Video ID or null if not found
  */
 function getVideoId() {
-  const urlParams = new URLSearchParams(window.location.search);
-  const videoId = urlParams.get('v');
+  const videoId = TranscriptUrls.parseVideoId(window.location.href);
   log('getVideoId:', videoId);
   return videoId;
 }
@@ -54,15 +105,16 @@ function getApiKey() {
 }
 
 /**
- * Fetch fresh player data using Innertube API with Android client
+ * Fetch fresh player data using Innertube API, by default with Android client
  * @param {string} videoId - YouTube video ID
+ * @param {object} [context] - Innertube client context
  * @returns {Promise<object|null>} Player response data or null
  */
-async function fetchPlayerData(videoId) {
-  log('fetchPlayerData for videoId:', videoId);
+async function fetchPlayerData(videoId, context = ANDROID_CONTEXT) {
+  log('fetchPlayerData for videoId:', videoId, 'client:', context.client.clientName);
   const apiKey = getApiKey();
   if (!apiKey) {
-    throw new Error('Could not find API key');
+    throw new TranscriptError('API_KEY_MISSING', 'Could not find API key');
   }
 
   log('Fetching player data from Innertube API...');
@@ -70,7 +122,7 @@ async function fetchPlayerData(videoId) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      context: ANDROID_CONTEXT,
+      context: { ...context, client: { ...context.client, ...clientLocale } },
       videoId
     }),
     credentials: 'include'
@@ -78,7 +130,10 @@ async function fetchPlayerData(videoId) {
 
   log('Player API response status:', response.status);
   if (!response.ok) {
-    throw new Error(`Player API failed: ${response.status}`);
+    throw new TranscriptError('PLAYER_HTTP_ERROR', `Player API failed: ${response.status}`, {
+      status: response.status,
+      client: context.client.clientName
+    });
   }
 
   const data = await response.json();
@@ -101,174 +156,1000 @@ function getCaptionTracks(playerData) {
 }
 
 /**
- * Fetch transcript XML from caption track URL
+ * Read the text of an Innertube text object ({ simpleText } or { runs })
+ * @param {object} [text] - Innertube text object
+ * @returns {string} Plain text, empty when missing
+ */
+function readText(text) {
+  return text?.simpleText || text?.runs?.map(r => r.text).join('') || '';
+}
+
+/**
+ * Describe a caption track in the shape shared with the content script
+ * @param {object} track - Caption track from the player response
+ * @returns {{id: string, languageCode: string, name: string, kind: string}} Track info
+ */
+function describeTrack(track) {
+  const kind = track.kind === 'asr' ? 'asr' : 'manual';
+  const name = readText(track.name) || track.languageCode;
+  return {
+    id: track.vssId || `${kind === 'asr' ? 'a' : ''}.${track.languageCode}`,
+    languageCode: track.languageCode,
+    name,
+    kind
+  };
+}
+
+/**
+ * Check whether a caption track matches a preference entry
+ * Entries are "<languageCode>[:manual|asr]", or "*" in place of the language for any track
+ * @param {object} track - Caption track from the player response
+ * @param {string} entry - Preference entry, e.g. "en:asr"
+ * @returns {boolean}
+ */
+function matchesPreference(track, entry) {
+  const [language, kind] = entry.split(':');
+  const info = describeTrack(track);
+  if (language !== '*' && language.toLowerCase() !== info.languageCode.toLowerCase()) {
+    return false;
+  }
+  return !kind || kind === info.kind;
+}
+
+/**
+ * Choose the caption track to extract
+ * An explicit trackId wins, then preference entries are tried in order
+ * (manual captions first among matches), then the original default of
+ * first manual track, else first track
+ * @param {Array} tracks - Caption tracks from the player response
+ * @param {object} [options]
+ * @param {string} [options.trackId] - Track id (vssId) chosen by the user
+ * @param {string[]} [options.trackPreference] - Ordered preference entries
+ * @returns {object} Selected caption track
+ */
+function selectTrack(tracks, { trackId, trackPreference = [] } = {}) {
+  if (trackId) {
+    const chosen = tracks.find(t => describeTrack(t).id === trackId);
+    if (chosen) {
+      return chosen;
+    }
+    log('Requested track not available:', trackId, '- falling back to preferences');
+  }
+
+  for (const entry of trackPreference) {
+    const matches = tracks.filter(t => matchesPreference(t, entry));
+    if (matches.length > 0) {
+      log('Track preference matched:', entry);
+      return matches.find(t => t.kind !== 'asr') || matches[0];
+    }
+  }
+
+  // Prefer non-auto-generated tracks (manual captions), fallback to first available
+  return tracks.find(t => t.kind !== 'asr') || tracks[0];
+}
+
+/**
+ * Point a caption track URL at the current YouTube host
+ * Track URLs always name www.youtube.com, which is cross-origin from
+ * m.youtube.com and youtube-nocookie.com; every YouTube host serves the same path
  * @param {string} baseUrl - Caption track base URL
- * @returns {Promise<string>} Raw XML transcript
+ * @returns {string} URL on the current origin
  */
-async function fetchTranscriptXml(baseUrl) {
-  log('fetchTranscriptXml from:', baseUrl.substring(0, 80) + '...');
-  const response = await fetch(baseUrl, {
+function toPageOrigin(baseUrl) {
+  const url = new URL(baseUrl, window.location.origin);
+  url.protocol = window.location.protocol;
+  url.host = window.location.host;
+  return url.toString();
+}
+
+/**
+ * Fetch a caption track
+ * @param {string} baseUrl - Caption track base URL
+ * @returns {Promise<string>} Raw track in whichever timedtext variant YouTube serves
+ */
+async function fetchCaptionTrack(baseUrl) {
+  log('fetchCaptionTrack from:', baseUrl.substring(0, 80) + '...');
+  const response = await fetch(toPageOrigin(baseUrl), {
     credentials: 'include',
     signal: AbortSignal.timeout(15000)
   });
 
-  log('Transcript XML response status:', response.status);
+  log('Caption track response status:', response.status);
   if (!response.ok) {
-    throw new Error(`Failed to fetch transcript: ${response.status}`);
+    throw new TranscriptError('TRACK_HTTP_ERROR', `Failed to fetch transcript: ${response.status}`, { status: response.status });
   }
 
-  const xml = await response.text();
-  log('Received XML, length:', xml.length);
-  return xml;
+  const body = await response.text();
+  log('Received caption track, length:', body.length);
+  return body;
 }
 
 /**
- * Decode HTML entities in text
- * @param {string} text - Text with HTML entities
- * @returns {string} Decoded text
+ * Find every value stored under a key anywhere in a nested response object
+ * Innertube responses nest renderers deeply and move them between releases,
+ * so lookups search by renderer name rather than by full path
+ * @param {*} node - Object or array to search
+ * @param {string} key - Property name to collect
+ * @param {Array} [found] - Accumulator
+ * @returns {Array} Values found, in document order
  */
-function decodeHtmlEntities(text) {
-  const entities = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#39;': "'",
-    '&apos;': "'",
-    '&#x27;': "'",
-    '&#x2F;': '/',
-    '&#47;': '/',
-    '&nbsp;': ' '
+function collectByKey(node, key, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectByKey(item, key, found));
+  } else if (node && typeof node === 'object') {
+    for (const [name, value] of Object.entries(node)) {
+      if (name === key) {
+        found.push(value);
+      } else {
+        collectByKey(value, key, found);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Get the player response already loaded by the page for a video
+ * ytInitialPlayerResponse goes stale after SPA navigation, so the live
+ * player is asked first and both are checked against the video ID
+ * @param {string} videoId - YouTube video ID
+ * @returns {object} Player response data
+ */
+function getPagePlayerResponse(videoId) {
+  const candidates = [
+    document.getElementById('movie_player')?.getPlayerResponse?.(),
+    window.ytInitialPlayerResponse
+  ];
+  const playerData = candidates.find(data => data?.videoDetails?.videoId === videoId);
+  if (!playerData) {
+    throw new TranscriptError('PAGE_DATA_MISSING', 'No page player response for this video');
+  }
+  return playerData;
+}
+
+/**
+ * Read the source details of a video from a player response
+ * @param {object|null} playerData - Player response data
+ * @returns {{title: string|null, channel: string|null, lengthMs: number|null, published: string|null}}
+ */
+function getVideoDetails(playerData) {
+  const details = playerData?.videoDetails || {};
+  // Android responses usually lack the microformat; the page's own response has it
+  const microformat = playerData?.microformat?.playerMicroformatRenderer || {};
+  const lengthSeconds = Number(details.lengthSeconds || microformat.lengthSeconds);
+  return {
+    title: details.title || readText(microformat.title) || null,
+    channel: details.author || microformat.ownerChannelName || null,
+    lengthMs: lengthSeconds > 0 ? lengthSeconds * 1000 : null,
+    published: microformat.publishDate || microformat.uploadDate || null,
+    live: !!details.isLive
   };
+}
+
+/**
+ * Fetch transcript cues from the engagement-panel get_transcript endpoint
+ * This is what the web "Show transcript" panel uses; its params are only on the
+ * page for the video that was initially loaded
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<{videoId: string, track: object, cues: Array}>} Transcript object
+ */
+async function fetchTranscriptPanel(videoId) {
+  const initialData = window.ytInitialData;
+  if (initialData?.currentVideoEndpoint?.watchEndpoint?.videoId !== videoId) {
+    throw new TranscriptError('PAGE_DATA_MISSING', 'No page data for this video');
+  }
+
+  const params = collectByKey(initialData, 'getTranscriptEndpoint')[0]?.params;
+  if (!params) {
+    throw new TranscriptError('NO_TRACKS', 'Video has no transcript panel');
+  }
+
+  const apiKey = getApiKey();
+  const context = window.ytcfg?.data_?.INNERTUBE_CONTEXT;
+  if (!apiKey || !context) {
+    throw new TranscriptError('API_KEY_MISSING', 'Could not find web client config');
+  }
+
+  log('Fetching transcript panel from Innertube API...');
+  const response = await fetch(`/youtubei/v1/get_transcript?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ context, params }),
+    credentials: 'include'
+  });
 
-  let decoded = text;
-  for (const [entity, char] of Object.entries(entities)) {
-    decoded = decoded.split(entity).join(char);
+  log('Transcript panel response status:', response.status);
+  if (!response.ok) {
+    throw new TranscriptError('PANEL_HTTP_ERROR', `Transcript panel API failed: ${response.status}`, { status: response.status });
+  }
+
+  const data = await response.json();
+  const cues = collectByKey(data, 'transcriptSegmentRenderer')
+    .map(segment => {
+      const start = parseInt(segment.startMs, 10);
+      const end = parseInt(segment.endMs, 10);
+      const text = readText(segment.snippet).replace(/\n/g, ' ').trim();
+      return { start, duration: Math.max(end - start, 0), text };
+    })
+    .filter(cue => cue.text && !Number.isNaN(cue.start));
+
+  if (cues.length === 0) {
+    throw new TranscriptError('EMPTY_TRACK', 'Transcript panel returned no segments');
   }
 
-  // Handle numeric entities like &#123;
-  decoded = decoded.replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
-  decoded = decoded.replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  // The panel only says which language menu entry is selected
+  const selected = collectByKey(data, 'subMenuItems')[0]?.find(item => item.selected);
+  const name = selected?.title || 'Transcript panel';
 
-  return decoded;
+  // The panel response has no video details; the page's player response may
+  let playerData = null;
+  try {
+    playerData = getPagePlayerResponse(videoId);
+  } catch (err) {
+    log('No video details for transcript panel:', err.message);
+  }
+  return {
+    videoId,
+    track: {
+      id: 'transcript-panel',
+      languageCode: '',
+      name,
+      kind: /auto-generated/i.test(name) ? 'asr' : 'manual'
+    },
+    cues,
+    chapters: getChapters(videoId, playerData),
+    details: getVideoDetails(playerData)
+  };
 }
 
 /**
- * Parse transcript XML into formatted text with timestamps
- * YouTube uses <p t="ms" d="ms">text</p> format
- * @param {string} xml - Raw XML transcript
- * @returns {string} Formatted transcript text
+ * Chapter timestamp line in a description: "0:00 Intro", "(1:02:03) - Q&A", "12. 4:05 Title"
  */
-function parseTranscriptXml(xml) {
-  // Match <p t="startMs" d="durationMs">text</p>
-  const regex = /<p t="(\d+)"[^>]*>([^<]*)<\/p>/g;
-  const lines = [];
-  let match;
+const CHAPTER_LINE = /^\s*(?:\d+\.\s+)?[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|]\s*)?(\S.*?)\s*$/;
 
-  while ((match = regex.exec(xml)) !== null) {
-    const startMs = parseInt(match[1], 10);
-    const rawText = match[2];
-
-    // Clean up text
-    const text = decodeHtmlEntities(rawText)
-      .replace(/\n/g, ' ')  // Replace newlines with spaces
-      .trim();
+/**
+ * Convert an H:MM:SS or M:SS timestamp to milliseconds
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) * 1000;
+}
 
-    if (text) {
-      const timestamp = formatTimestamp(startMs);
-      lines.push(`[${timestamp}] ${text}`);
+/**
+ * Parse chapters from a video description
+ * Follows YouTube's own rules: at least three timestamps, the first at 0:00,
+ * in ascending order; anything else is treated as ordinary timestamps
+ * @param {string} description - Video description text
+ * @returns {Array<{start: number, title: string}>} Chapters, empty if none
+ */
+function parseDescriptionChapters(description) {
+  const chapters = [];
+  for (const line of description.split('\n')) {
+    const match = line.match(CHAPTER_LINE);
+    if (match) {
+      chapters.push({ start: parseTimestamp(match[1]), title: match[2] });
     }
   }
 
-  return lines.join('\n');
+  const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+  if (chapters.length < 3 || chapters[0].start !== 0 || !ascending) {
+    return [];
+  }
+  return chapters;
 }
 
 /**
- * Format milliseconds to MM:SS or HH:MM:SS timestamp
- * @param {number} ms - Time in milliseconds
- * @returns {string} Formatted timestamp
+ * Get chapter markers from the page's player bar data
+ * Includes creator and auto-generated chapters; only available for the
+ * video the page was loaded with
+ * @param {string} videoId - YouTube video ID
+ * @returns {Array<{start: number, title: string}>} Chapters, empty if none
  */
-function formatTimestamp(ms) {
-  const totalSeconds = Math.floor(ms / 1000);
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-
-  const pad = (n) => n.toString().padStart(2, '0');
+function getPageChapters(videoId) {
+  const initialData = window.ytInitialData;
+  if (initialData?.currentVideoEndpoint?.watchEndpoint?.videoId !== videoId) {
+    return [];
+  }
 
-  if (hours > 0) {
-    return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+  const chapters = [];
+  for (const renderer of collectByKey(initialData, 'chapterRenderer')) {
+    const start = Number(renderer.timeRangeStartMillis);
+    const title = readText(renderer.title);
+    if (title && Number.isFinite(start) && !chapters.some(c => c.start === start)) {
+      chapters.push({ start, title });
+    }
   }
-  return `${pad(minutes)}:${pad(seconds)}`;
+  return chapters.sort((a, b) => a.start - b.start);
 }
 
 /**
- * Get full transcript for current video
- * Prefers manual captions over auto-generated
- * Uses Android client to bypass PoToken requirement
- * @returns {Promise<string>} Transcript text
+ * Get the chapters of a video
+ * Player bar markers are preferred, then chapters listed in the description
+ * @param {string} videoId - YouTube video ID
+ * @param {object|null} playerData - Player response data, if the strategy has one
+ * @returns {Array<{start: number, title: string}>} Chapters, empty if none
  */
-async function getTranscript() {
-  log('getTranscript called');
-  const videoId = getVideoId();
-  if (!videoId) {
-    throw new Error('No video ID found');
+function getChapters(videoId, playerData) {
+  const pageChapters = getPageChapters(videoId);
+  const chapters = pageChapters.length > 0
+    ? pageChapters
+    : parseDescriptionChapters(playerData?.videoDetails?.shortDescription || '');
+  log('Chapters found:', chapters.length);
+  return chapters;
+}
+
+/**
+ * Fetch a caption track machine-translated by YouTube
+ * Only languages the player response lists under translationLanguages can be
+ * requested, and only for tracks marked translatable
+ * @param {object} playerData - Player response data
+ * @param {object} track - Source caption track from the player response
+ * @param {string} languageCode - Target language code, e.g. "de"
+ * @returns {Promise<{languageCode: string, name: string, cues: Array}|null>} Translated cues,
+ *   or null when the track is already in that language
+ */
+async function fetchTranslation(playerData, track, languageCode) {
+  const sameLanguage = code => code.split('-')[0].toLowerCase() === languageCode.split('-')[0].toLowerCase();
+  if (sameLanguage(track.languageCode)) {
+    log('Track already in', languageCode, '- no translation needed');
+    return null;
+  }
+  if (!track.isTranslatable) {
+    throw new TranscriptError('NO_TRANSLATION', `YouTube cannot translate the ${track.languageCode} captions`, { languageCode });
+  }
+  const languages = playerData.captions.playerCaptionsTracklistRenderer.translationLanguages || [];
+  const target = languages.find(l => l.languageCode.toLowerCase() === languageCode.toLowerCase());
+  if (!target) {
+    throw new TranscriptError('NO_TRANSLATION', `No ${languageCode} translation offered for this video`, {
+      languageCode,
+      available: languages.map(l => l.languageCode)
+    });
   }
 
-  // Fetch fresh player data using Android client
-  const playerData = await fetchPlayerData(videoId);
+  const url = new URL(track.baseUrl, window.location.origin);
+  url.searchParams.set('tlang', target.languageCode);
+  const body = await fetchCaptionTrack(url.toString());
+  const cues = body ? TranscriptTimedText.parseTimedText(body) : [];
+  log('Parsed', target.languageCode, 'translation, cues:', cues.length);
+  if (cues.length === 0) {
+    throw new TranscriptError('NO_TRANSLATION', `The ${target.languageCode} translation came back empty`, { languageCode });
+  }
+  return { languageCode: target.languageCode, name: readText(target.languageName) || target.languageCode, cues };
+}
 
+/**
+ * Fetch and parse the selected caption track from a player response
+ * @param {string} videoId - YouTube video ID
+ * @param {object} playerData - Player response data
+ * @param {object} [options]
+ * @param {string} [options.trackId] - Track id chosen by the user
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @param {string} [options.translateTo] - Also fetch the track translated into this language
+ * @returns {Promise<{videoId: string, track: object, cues: Array, translation?: object}>} Transcript object
+ */
+async function extractFromPlayerData(videoId, playerData, { trackId, trackPreference, translateTo } = {}) {
   const tracks = getCaptionTracks(playerData);
   if (tracks.length === 0) {
-    throw new Error('No transcript available');
+    // Blocked videos list no tracks either; say why rather than "no captions"
+    const playability = playerData?.playabilityStatus;
+    if (playability?.status && playability.status !== 'OK') {
+      throw new TranscriptError('PLAYABILITY_BLOCKED', `Video not playable: ${playability.reason || playability.status}`, {
+        status: playability.status,
+        reason: playability.reason || null
+      });
+    }
+    throw new TranscriptError('NO_TRACKS', 'No transcript available');
   }
 
-  // Prefer non-auto-generated tracks (manual captions), fallback to first available
-  const preferredTrack = tracks.find(t => !t.kind || t.kind !== 'asr') || tracks[0];
+  const preferredTrack = selectTrack(tracks, { trackId, trackPreference });
   log('Using track:', preferredTrack.languageCode, '- kind:', preferredTrack.kind || 'manual');
 
   // Fetch and parse transcript
-  const xml = await fetchTranscriptXml(preferredTrack.baseUrl);
+  const body = await fetchCaptionTrack(preferredTrack.baseUrl);
+
+  if (!body || body.length === 0) {
+    throw new TranscriptError('EMPTY_TRACK', 'Empty transcript response', { trackId: preferredTrack.vssId });
+  }
+
+  const format = TranscriptTimedText.detectFormat(body);
+  const cues = TranscriptTimedText.parseTimedText(body);
+  log('Parsed', format || 'unknown', 'caption track, cues:', cues.length);
+
+  if (cues.length === 0) {
+    throw new TranscriptError('PARSE_FAILED', 'Failed to parse transcript', { trackId: preferredTrack.vssId, format, length: body.length });
+  }
+
+  const translation = translateTo ? await fetchTranslation(playerData, preferredTrack, translateTo) : null;
+  return {
+    videoId,
+    track: describeTrack(preferredTrack),
+    cues,
+    ...(translation ? { translation } : {}),
+    chapters: getChapters(videoId, playerData),
+    details: getVideoDetails(playerData)
+  };
+}
+
+/**
+ * Extraction strategies, tried in order until one returns cues
+ * Player-response strategies share track selection and caption fetching;
+ * strategies with their own extract() produce cues directly
+ */
+const EXTRACTION_STRATEGIES = [
+  { name: 'android', loadPlayerData: videoId => fetchPlayerData(videoId, ANDROID_CONTEXT) },
+  { name: 'ios', loadPlayerData: videoId => fetchPlayerData(videoId, IOS_CONTEXT) },
+  { name: 'tv-embedded', loadPlayerData: videoId => fetchPlayerData(videoId, TV_EMBEDDED_CONTEXT) },
+  { name: 'page-player-response', loadPlayerData: getPagePlayerResponse },
+  { name: 'transcript-panel', extract: fetchTranscriptPanel }
+];
+
+/**
+ * Run a single strategy to completion
+ * @param {object} strategy - Entry from EXTRACTION_STRATEGIES
+ * @param {string} videoId - YouTube video ID
+ * @param {object} options - Track options
+ * @returns {Promise<{videoId: string, track: object, cues: Array}>} Transcript object
+ */
+async function runStrategy(strategy, videoId, options) {
+  if (strategy.extract) {
+    // Only caption tracks can be translated, and these strategies have none
+    if (options.translateTo) {
+      throw new TranscriptError('NO_TRANSLATION', 'No caption track to translate', { languageCode: options.translateTo });
+    }
+    return strategy.extract(videoId, options);
+  }
+  const playerData = await strategy.loadPlayerData(videoId);
+  return extractFromPlayerData(videoId, playerData, options);
+}
+
+/**
+ * Error codes that say the most about a video when every strategy fails,
+ * most telling first: a client that saw no tracks beats one that was blocked
+ */
+const FAILURE_PRIORITY = ['NO_TRACKS', 'PLAYABILITY_BLOCKED', 'NO_TRANSLATION', 'EMPTY_TRACK', 'PARSE_FAILED'];
+
+/**
+ * Pick the error code reported when every strategy failed
+ * @param {Array<{code: string}>} attempts - Failed attempts in ladder order
+ * @returns {string} Error code
+ */
+function summarizeFailure(attempts) {
+  const codes = attempts.map(a => a.code);
+  return FAILURE_PRIORITY.find(code => codes.includes(code)) || codes[0] || 'UNKNOWN';
+}
+
+/**
+ * Extract structured transcript for a video, by default the current one
+ * Runs EXTRACTION_STRATEGIES in order and records why each failed rung failed
+ * @param {object} [options]
+ * @param {string} [options.videoId] - Video to extract instead of the current one
+ * @param {string} [options.trackId] - Track id chosen by the user
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @param {string} [options.translateTo] - Also fetch YouTube's translation into this language
+ * @param {AbortSignal} [options.signal] - Stops before the next strategy when aborted
+ * @returns {Promise<{videoId: string, track: object, cues: Array, extraction: object}>} Transcript object
+ */
+async function extractTranscript({ videoId: requestedVideoId, trackId, trackPreference, translateTo, signal } = {}) {
+  log('extractTranscript called');
+  const videoId = requestedVideoId || getVideoId();
+  if (!videoId) {
+    throw new TranscriptError('NO_VIDEO_ID', 'No video ID found');
+  }
+
+  const attempts = [];
+  for (const strategy of EXTRACTION_STRATEGIES) {
+    signal?.throwIfAborted();
+    log('Trying extraction strategy:', strategy.name);
+    try {
+      const transcript = await runStrategy(strategy, videoId, { trackId, trackPreference, translateTo });
+      attempts.push({ strategy: strategy.name, ok: true });
+      log('Extraction succeeded with strategy:', strategy.name, '- attempts:', attempts.length);
+      return { ...transcript, extractedAt: new Date().toISOString(), extraction: { strategy: strategy.name, attempts } };
+    } catch (err) {
+      attempts.push({ strategy: strategy.name, ok: false, code: TranscriptErrors.serializeError(err).code, reason: err.message });
+      logError(`Strategy ${strategy.name} failed:`, err.message);
+    }
+  }
+
+  const reasons = attempts.map(a => `${a.strategy}: ${a.reason}`).join('; ');
+  throw new TranscriptError(summarizeFailure(attempts), `All extraction strategies failed (${reasons})`, { videoId, attempts });
+}
+
+/**
+ * List the caption tracks available for current video
+ * Uses the first player-response strategy that yields any tracks
+ * @param {object} [options]
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @returns {Promise<{tracks: Array, selectedId: string|null}>} Track infos and the one that would be chosen
+ */
+async function listTracks({ trackPreference } = {}) {
+  log('listTracks called');
+  const videoId = getVideoId();
+  if (!videoId) {
+    throw new TranscriptError('NO_VIDEO_ID', 'No video ID found');
+  }
+
+  let tracks = [];
+  for (const strategy of EXTRACTION_STRATEGIES.filter(s => s.loadPlayerData)) {
+    try {
+      tracks = getCaptionTracks(await strategy.loadPlayerData(videoId));
+    } catch (err) {
+      logError(`Strategy ${strategy.name} could not list tracks:`, err.message);
+    }
+    if (tracks.length > 0) {
+      break;
+    }
+  }
+
+  const selected = tracks.length > 0 ? selectTrack(tracks, { trackPreference }) : null;
+  return {
+    tracks: tracks.map(describeTrack),
+    selectedId: selected ? describeTrack(selected).id : null
+  };
+}
+
+/**
+ * Read the playhead of the page's video
+ * @returns {number} Current time in milliseconds
+ */
+function getPlayhead() {
+  const video = document.querySelector('video');
+  if (!video) {
+    throw new TranscriptError('INVALID_RANGE', 'No video element to read the playhead from');
+  }
+  return Math.round(video.currentTime * 1000);
+}
+
+/**
+ * Turn a range option into start and end times
+ * Accepted forms:
+ *   { from: 'playhead' }        - from the playhead to the end of the video
+ *   { lastMinutes: 5 }          - the minutes before the playhead
+ *   { start: 60000, end: 90000 } - fixed times in milliseconds, e.g. A/B marks;
+ *                                 either may be left out
+ * @param {object} range - Range option from GET_TRANSCRIPT
+ * @param {string} [requestedVideoId] - Video being extracted, if not the current one
+ * @returns {{start: number, end: number}} Range in milliseconds
+ */
+function resolveRange(range, requestedVideoId) {
+  const { from, lastMinutes, start = 0, end = Infinity } = range;
+
+  if (from === undefined && lastMinutes === undefined) {
+    if (!(start >= 0 && start < end)) {
+      throw new TranscriptError('INVALID_RANGE', `Invalid range: ${start} to ${end}`, { range });
+    }
+    return { start, end };
+  }
 
-  if (!xml || xml.length === 0) {
-    throw new Error('Empty transcript response');
+  // The playhead belongs to the video playing here, not to a linked one
+  if (requestedVideoId && requestedVideoId !== getVideoId()) {
+    throw new TranscriptError('INVALID_RANGE', 'Playhead ranges only work on the video that is playing', { range });
+  }
+  const playhead = getPlayhead();
+  if (from === 'playhead') {
+    return { start: playhead, end: Infinity };
   }
+  if (lastMinutes > 0) {
+    return { start: Math.max(0, playhead - lastMinutes * 60000), end: playhead };
+  }
+  throw new TranscriptError('INVALID_RANGE', `Invalid range: ${JSON.stringify(range)}`, { range });
+}
 
-  const transcript = parseTranscriptXml(xml);
-  log('Parsed transcript, lines:', transcript.split('\n').length);
+/**
+ * Apply the requested cue transforms to an extracted transcript
+ * @param {object} transcript - Transcript object from extractTranscript
+ * @param {object} options
+ * @param {boolean} [options.reflow] - Join caption fragments into timestamped paragraphs
+ * @param {boolean} [options.chapters] - Divide output into chapter sections
+ * @param {{start: number, end: number}} [options.range] - Resolved time range to keep
+ * @returns {object} Transformed transcript object
+ */
+function applyTransforms(transcript, { reflow = false, chapters = true, range = null }) {
+  let result = chapters ? transcript : { ...transcript, chapters: [] };
+  if (range) {
+    const cues = TranscriptCues.sliceRange(result.cues, range.start, range.end);
+    if (cues.length === 0) {
+      throw new TranscriptError('EMPTY_RANGE', 'No captions in the requested range', { range });
+    }
+    // Keep the chapters the range touches, including the one it starts in
+    const all = result.chapters || [];
+    const inRange = all.filter((c, i) => c.start < range.end && (all[i + 1]?.start ?? Infinity) > range.start);
+    log('Kept', cues.length, 'of', result.cues.length, 'cues in range', range.start, '-', range.end);
+    result = { ...result, cues, chapters: inRange, range };
+  }
+  if (reflow) {
+    // Paragraphs never span a chapter start, so each lands in one section
+    const cues = TranscriptCues.reflow(result.cues, { breaks: (result.chapters || []).map(c => c.start) });
+    log('Reflowed transcript into paragraphs:', cues.length);
+    result = { ...result, cues, paragraphs: true };
+  }
+  if (result.translation) {
+    // Aligned last, so range and paragraphs decide which lines translations join
+    result = { ...result, cues: TranscriptCues.alignTranslation(result.cues, result.translation.cues) };
+  }
+  return result;
+}
 
-  if (!transcript) {
-    throw new Error('Failed to parse transcript');
+/**
+ * Look up an output format, failing with a coded error for unknown names
+ * @param {string} name - Format name
+ * @returns {object} Format definition
+ */
+function resolveFormat(name) {
+  if (!TranscriptFormats.FORMATS[name]) {
+    throw new TranscriptError('INVALID_OPTION', `Unknown transcript format: ${name}`, { format: name });
   }
+  return TranscriptFormats.getFormat(name);
+}
 
+/**
+ * Get full transcript for current video in the requested output format
+ * @param {object} [options]
+ * @param {string} [options.format] - Output format name (see TranscriptFormats.FORMATS)
+ * @param {boolean} [options.reflow] - Join caption fragments into timestamped paragraphs
+ * @param {boolean} [options.chapters] - Divide output into chapter sections (default true)
+ * @param {object} [options.range] - Only the part of the video in this range (see resolveRange)
+ * @param {boolean} [options.html] - Also render HTML with linked timestamps, for rich formats
+ * @param {string} [options.header] - Metadata header: 'none' (default), 'text' or 'yaml'
+ * @param {{name: string, body: string, extension: string}} [options.template] - User template to render
+ *   instead of the format; templates carry their own metadata, so header is ignored
+ * @param {string} [options.videoId] - Video to extract instead of the current one
+ * @param {string} [options.trackId] - Track id chosen by the user
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @param {string} [options.translateTo] - Add YouTube's translation into this language to every line
+ * @param {string} [options.translationLayout] - 'interleaved' (default) or 'side-by-side'
+ * @param {AbortSignal} [options.signal] - Stops waiting for the extraction when aborted
+ * @returns {Promise<string>} Transcript text
+ */
+async function getTranscript(options = {}) {
+  const { transcript } = await getTranscriptResult(options);
   return transcript;
 }
 
+/**
+ * Extracted transcripts by video and track selection
+ * Transcripts are cached before any transform, so every format, range and
+ * option is served from one extraction
+ */
+const transcriptCache = TranscriptCache.createCache();
+
+/**
+ * Build the cache key for a video and track selection
+ * @param {string} videoId
+ * @param {object} selection
+ * @param {string} [selection.trackId] - Track id chosen by the user
+ * @param {string[]} [selection.trackPreference] - Ordered track preference entries
+ * @param {string} [selection.translateTo] - Translation language
+ * @returns {string}
+ */
+function cacheKey(videoId, { trackId, trackPreference, translateTo }) {
+  const key = trackId ? `${videoId}|track:${trackId}` : `${videoId}|prefer:${(trackPreference || []).join(',')}`;
+  return translateTo ? `${key}|tlang:${translateTo}` : key;
+}
+
+/**
+ * Extract a transcript through the cache
+ * Callers share one extraction per key, so aborting only stops the wait; the
+ * extraction finishes and stays cached. Live streams are never kept, as their
+ * captions keep growing. Cache hits are marked with extraction.cached.
+ * @param {object} [options] - Same as extractTranscript
+ * @returns {Promise<object>} Transcript object
+ */
+async function loadTranscript({ videoId: requestedVideoId, trackId, trackPreference, translateTo, signal } = {}) {
+  signal?.throwIfAborted();
+  const videoId = requestedVideoId || getVideoId();
+  if (!videoId) {
+    throw new TranscriptError('NO_VIDEO_ID', 'No video ID found');
+  }
+
+  const key = cacheKey(videoId, { trackId, trackPreference, translateTo });
+  const { promise, hit, storedAt } = transcriptCache.remember(key, () => extractTranscript({ videoId, trackId, trackPreference, translateTo }));
+  const transcript = await promise;
+  signal?.throwIfAborted();
+  if (!hit) {
+    if (transcript.details?.live) {
+      log('Live stream, not caching:', key);
+      transcriptCache.delete(key);
+    }
+    return transcript;
+  }
+  log('Transcript cache hit:', key, '- age:', Math.round((Date.now() - storedAt) / 1000), 's');
+  return { ...transcript, extraction: { ...transcript.extraction, cached: true } };
+}
+
+/**
+ * Get transcript text together with how it was extracted
+ * @param {object} [options] - Same as getTranscript, plus:
+ * @param {boolean} [options.data] - Also return the transcript object, e.g. for endpoint delivery
+ * @param {boolean} [options.archive] - Also return the whole transcript, untrimmed by range or
+ *   reflow, for the library
+ * @param {{size: number, unit: string, overlap: number}} [options.chunks] - Also split the text into
+ *   labelled parts under this budget (see TranscriptChunks.chunkTranscript)
+ * @returns {Promise<{transcript: string, html?: string, data?: object, archive?: object, parts?: Array, fileName: string, mimeType: string, extraction: object}>}
+ *   Transcript text, HTML when requested and the format supports it, the
+ *   transcript objects and parts when requested, how to name it as a file, and strategy attempts
+ */
+async function getTranscriptResult({ format = TranscriptFormats.DEFAULT_FORMAT, reflow = false, chapters = true, range, html = false, data = false, archive = false, chunks, header = 'none', template, translationLayout, ...trackOptions } = {}) {
+  log('getTranscript called, format:', template ? `template ${template.name}` : format, 'reflow:', reflow, 'chapters:', chapters, 'range:', range);
+  // Resolve the format or template up front so a bad one fails before any network work
+  const { rich, extension, mimeType } = template
+    ? { rich: false, extension: template.extension, mimeType: TranscriptTemplates.mimeType(template.extension) }
+    : resolveFormat(format);
+  if (template) {
+    TranscriptTemplates.compile(template.body);
+  }
+  if (chunks && !(chunks.size > 0 && (chunks.overlap ?? 0) >= 0)) {
+    throw new TranscriptError('INVALID_OPTION', 'Part size must be positive and overlap not negative', { chunks });
+  }
+  if (translationLayout && !TranscriptFormats.TRANSLATION_LAYOUTS.includes(translationLayout)) {
+    throw new TranscriptError('INVALID_OPTION', `Unknown translation layout: ${translationLayout}`, { translationLayout });
+  }
+  // Read the playhead now, as it keeps moving while the transcript is fetched
+  const resolvedRange = range ? resolveRange(range, trackOptions.videoId) : null;
+
+  const loaded = await loadTranscript(trackOptions);
+  const transcript = applyTransforms(loaded, { reflow, chapters, range: resolvedRange });
+  const { title, channel } = transcript.details || {};
+  const { extraction, ...content } = transcript;
+  const render = part => (template
+    ? TranscriptTemplates.render(template.body, part)
+    : TranscriptFormats.serialize(part, format, { header, translationLayout }));
+  return {
+    transcript: render(transcript),
+    ...(chunks ? { parts: TranscriptChunks.chunkTranscript(transcript, render, chunks) } : {}),
+    ...(html && rich ? { html: TranscriptFormats.toHtml(transcript, { header, translationLayout }) } : {}),
+    ...(data ? { data: content } : {}),
+    ...(archive ? { archive: wholeTranscript(loaded) } : {}),
+    fileName: TranscriptFormats.fileName({ id: transcript.videoId, title, channel }, extension),
+    mimeType,
+    extraction
+  };
+}
+
+/**
+ * Get the whole of an extracted transcript, as kept in the library
+ * @param {object} loaded - Transcript object from loadTranscript
+ * @returns {object} Transcript object with every cue and chapter, translations aligned
+ */
+function wholeTranscript(loaded) {
+  const { extraction, ...transcript } = applyTransforms(loaded, {});
+  return transcript.translation
+    ? { ...transcript, translation: { languageCode: transcript.translation.languageCode, name: transcript.translation.name } }
+    : transcript;
+}
+
+/**
+ * Get the structured transcript for display, e.g. in the transcript viewer
+ * @param {object} [options]
+ * @param {boolean} [options.reflow] - Join caption fragments into timestamped paragraphs
+ * @param {boolean} [options.chapters] - Keep chapters (default true)
+ * @param {string} [options.videoId] - Video to extract instead of the current one
+ * @param {string} [options.trackId] - Track id chosen by the user
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @param {string} [options.translateTo] - Add YouTube's translation into this language to every cue
+ * @param {AbortSignal} [options.signal] - Stops waiting for the extraction when aborted
+ * @returns {Promise<object>} Transcript object with cues and chapters
+ */
+async function getTranscriptCues({ reflow = false, chapters = true, ...trackOptions } = {}) {
+  log('getTranscriptCues called, reflow:', reflow, 'chapters:', chapters);
+  return applyTransforms(await loadTranscript(trackOptions), { reflow, chapters });
+}
+
+/**
+ * Upper bound on playlist pages fetched, at about 100 videos per page
+ */
+const MAX_PLAYLIST_PAGES = 50;
+
+/**
+ * Enumerate the videos of a playlist through the Innertube browse endpoint
+ * Mixes and other generated lists cannot be browsed; for those the watch
+ * page's own playlist panel is used when it shows the same list. A page that
+ * fails after the first is a PLAYLIST_HTTP_ERROR, never a shorter list.
+ * @param {string} listId - Playlist ID
+ * @returns {Promise<Array<{videoId: string, title: string}>>} Videos in playlist order
+ */
+async function fetchPlaylistVideos(listId) {
+  log('fetchPlaylistVideos for list:', listId);
+  const videos = [];
+  const seen = new Set();
+  const addVideos = (renderers) => {
+    for (const renderer of renderers) {
+      if (renderer.videoId && !seen.has(renderer.videoId)) {
+        seen.add(renderer.videoId);
+        videos.push({ videoId: renderer.videoId, title: readText(renderer.title) || renderer.videoId });
+      }
+    }
+  };
+
+  const apiKey = getApiKey();
+  const context = window.ytcfg?.data_?.INNERTUBE_CONTEXT;
+  if (!apiKey || !context) {
+    throw new TranscriptError('API_KEY_MISSING', 'Could not find web client config');
+  }
+
+  let body = { context, browseId: `VL${listId}` };
+  let failedStatus = null;
+  for (let page = 0; body && page < MAX_PLAYLIST_PAGES; page++) {
+    const response = await fetch(`/youtubei/v1/browse?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      credentials: 'include'
+    });
+    log('Playlist API response status:', response.status);
+    if (!response.ok) {
+      // Generated lists fail on the first page and fall back below; a later
+      // failure would silently cut the playlist short
+      if (page === 0) {
+        failedStatus = response.status;
+        break;
+      }
+      throw new TranscriptError('PLAYLIST_HTTP_ERROR', `Playlist page ${page + 1} failed: ${response.status}`,
+        { listId, status: response.status, page, found: videos.length });
+    }
+
+    const data = await response.json();
+    addVideos(collectByKey(data, 'playlistVideoRenderer'));
+    const token = collectByKey(data, 'continuationCommand')[0]?.token;
+    body = token ? { context, continuation: token } : null;
+  }
+
+  if (videos.length === 0 && collectByKey(window.ytInitialData, 'playlistId').includes(listId)) {
+    log('Playlist not browsable, using watch page playlist panel');
+    addVideos(collectByKey(window.ytInitialData, 'playlistPanelVideoRenderer'));
+  }
+
+  log('Playlist videos found:', videos.length);
+  if (videos.length === 0 && failedStatus) {
+    throw new TranscriptError('PLAYLIST_HTTP_ERROR', `Playlist API failed: ${failedStatus}`, { listId, status: failedStatus, page: 0, found: 0 });
+  }
+  if (videos.length === 0) {
+    throw new TranscriptError('PLAYLIST_EMPTY', 'No videos found in playlist', { listId });
+  }
+  return videos;
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - (item, index) => Promise
+ * @returns {Promise<Array>} Worker results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Extract every video in a playlist into one combined document
+ * Videos without captions are listed in the summary instead of failing the run
+ * @param {object} options
+ * @param {string} options.listId - Playlist ID
+ * @param {string} [options.format] - Output format name
+ * @param {boolean} [options.reflow] - Join caption fragments into timestamped paragraphs
+ * @param {boolean} [options.chapters] - Divide each video into chapter sections
+ * @param {number} [options.concurrency] - Videos extracted at once
+ * @param {string[]} [options.trackPreference] - Ordered track preference entries
+ * @param {AbortSignal} [options.signal] - Stops starting new videos when aborted
+ * @param {Function} [onProgress] - Called with { done, total, videoId, ok } after each video
+ * @returns {Promise<{transcript: string, summary: object}>} Combined document and per-video outcome
+ */
+async function getPlaylistTranscript(
+  { listId, format = TranscriptFormats.DEFAULT_FORMAT, reflow = false, chapters = true, concurrency = 3, trackPreference, signal } = {},
+  onProgress = () => {}
+) {
+  log('getPlaylistTranscript called, list:', listId, 'concurrency:', concurrency);
+  resolveFormat(format);
+
+  const videos = await fetchPlaylistVideos(listId);
+  let done = 0;
+  const entries = await mapWithConcurrency(videos, concurrency, async (video) => {
+    signal?.throwIfAborted();
+    let entry;
+    try {
+      const transcript = await loadTranscript({ videoId: video.videoId, trackPreference, signal });
+      entry = { ...video, transcript: applyTransforms(transcript, { reflow, chapters }) };
+    } catch (err) {
+      logError('Playlist video failed:', video.videoId, err.message);
+      entry = { ...video, error: err.message, code: TranscriptErrors.serializeError(err).code };
+    }
+    done++;
+    onProgress({ done, total: videos.length, videoId: video.videoId, ok: !entry.error });
+    return entry;
+  });
+
+  const failed = entries.filter(entry => entry.error);
+  log('Playlist complete:', entries.length - failed.length, 'of', entries.length, 'videos have transcripts');
+  return {
+    transcript: TranscriptFormats.serializeCollection(entries, format),
+    summary: {
+      total: entries.length,
+      succeeded: entries.length - failed.length,
+      failed: failed.map(({ videoId, title, error, code }) => ({ videoId, title, error, code }))
+    }
+  };
+}
+
 // Export for content script
 window.TranscriptControl = {
   getTranscript,
+  extractTranscript,
+  loadTranscript,
+  getPlaylistTranscript,
+  listTracks,
   getVideoId
 };
 log('TranscriptControl exported to window');
 
-// Listen for transcript requests from content script
-// This runs in page context and can respond directly via postMessage
-window.addEventListener('message', async (event) => {
-  // Only handle messages from this window
-  if (event.source !== window) return;
+/**
+ * Request handlers served to the content script over the private channel
+ */
+const REQUEST_HANDLERS = {
+  GET_TRANSCRIPT: (options, { signal }) => {
+    log('GET_TRANSCRIPT request, format:', options.format || 'default');
+    return getTranscriptResult({ ...options, signal });
+  },
+  CONFIGURE: (options) => {
+    log('CONFIGURE request');
+    return configureLocale(options);
+  },
+  GET_CUES: (options, { signal }) => {
+    log('GET_CUES request');
+    return getTranscriptCues({ ...options, signal });
+  },
+  LIST_TRACKS: (options) => {
+    log('LIST_TRACKS request');
+    return listTracks(options);
+  },
+  GET_PLAYLIST: (options, { signal, progress }) => {
+    log('GET_PLAYLIST request, list:', options.listId);
+    return getPlaylistTranscript({ ...options, signal }, progress);
+  },
+  PREFETCH: async (options) => {
+    log('PREFETCH request, video:', options.videoId);
+    const { extraction } = await loadTranscript(options);
+    return { strategy: extraction.strategy, cached: !!extraction.cached };
+  }
+};
 
-  // Check for transcript request with messageId
-  if (event.data?.type === 'GET_TRANSCRIPT' && event.data?.messageId) {
-    const messageId = event.data.messageId;
-    log('Received GET_TRANSCRIPT request, messageId:', messageId);
-    try {
-      const transcript = await getTranscript();
-      log('Sending TRANSCRIPT_RESULT success, length:', transcript.length);
-      window.postMessage({ type: 'TRANSCRIPT_RESULT', messageId, transcript }, '*');
-    } catch (err) {
-      logError('Transcript extraction failed:', err.message);
-      window.postMessage({ type: 'TRANSCRIPT_RESULT', messageId, error: err.message }, '*');
-    }
+/**
+ * Check that a window message is the content script's channel handshake
+ * @param {MessageEvent} event
+ * @returns {boolean} Whether it is a handshake from this window carrying a port
+ */
+function isChannelConnect(event) {
+  return event.source === window &&
+    event.data?.type === TranscriptChannel.CONNECT_TYPE &&
+    !!event.ports?.[0];
+}
+
+/**
+ * Take the channel port the content script sends at document_start
+ * This listener is the page's first, so the handshake, the first message
+ * on the window, reaches it before any page script could listen or post
+ * one of its own. It is stopped here and never seen by page listeners.
+ * @param {MessageEvent} event
+ */
+function handleConnect(event) {
+  if (!isChannelConnect(event)) {
+    return;
   }
-});
-log('Message listener set up');
+  event.stopImmediatePropagation();
+  window.removeEventListener('message', handleConnect, true);
+  TranscriptChannel.serve(event.ports[0], REQUEST_HANDLERS);
+  log('Channel connected, protocol version:', event.data.version);
+}
+
+// Capture phase, so the listener runs first even at the window itself
+window.addEventListener('message', handleConnect, true);
+log('Waiting for channel port');
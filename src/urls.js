@@ -0,0 +1,80 @@
+/**
+ * YouTube URL helpers
+ * Recognizes every surface a video can be played on
+ */
+(function (root) {
+  const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+  const YOUTUBE_HOST_PATTERN = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/;
+  const VIDEO_PATH_PATTERN = /^\/(shorts|live|embed|v)\/([^/?#]+)/;
+  // Path segments that fit the ID pattern but are not videos (/embed/videoseries?list=)
+  const RESERVED_IDS = ['videoseries'];
+
+  /**
+   * Extract a video ID from any YouTube video URL
+   * Handles /watch?v=, /shorts/, /live/, /embed/ and /v/ paths on youtube.com,
+   * m.youtube.com and youtube-nocookie.com, plus youtu.be short links
+   * @param {string} href - Absolute or youtube.com-relative URL
+   * @returns {string|null} Video ID or null if the URL is not a video
+   */
+  function parseVideoId(href) {
+    let url;
+    try {
+      url = new URL(href, 'https://www.youtube.com');
+    } catch {
+      return null;
+    }
+
+    const candidates = [];
+    if (url.hostname === 'youtu.be') {
+      candidates.push(url.pathname.split('/')[1]);
+    } else if (YOUTUBE_HOST_PATTERN.test(url.hostname)) {
+      if (url.pathname === '/watch') {
+        candidates.push(url.searchParams.get('v'));
+      }
+      const match = url.pathname.match(VIDEO_PATH_PATTERN);
+      if (match) {
+        candidates.push(match[2]);
+      }
+    }
+
+    return candidates.find(id => id && VIDEO_ID_PATTERN.test(id) && !RESERVED_IDS.includes(id)) || null;
+  }
+
+  /**
+   * Extract a playlist ID from a /playlist or /watch URL
+   * @param {string} href - Absolute or youtube.com-relative URL
+   * @returns {string|null} Playlist ID or null if the URL has no playlist
+   */
+  function parsePlaylistId(href) {
+    let url;
+    try {
+      url = new URL(href, 'https://www.youtube.com');
+    } catch {
+      return null;
+    }
+    if (!YOUTUBE_HOST_PATTERN.test(url.hostname)) {
+      return null;
+    }
+    if (url.pathname !== '/playlist' && url.pathname !== '/watch') {
+      return null;
+    }
+    return url.searchParams.get('list') || null;
+  }
+
+  /**
+   * Canonical watch URL for a video
+   * @param {string} videoId - YouTube video ID
+   * @param {number} [startMs] - Start playback here, in milliseconds
+   * @returns {string}
+   */
+  function watchUrl(videoId, startMs) {
+    const url = `https://www.youtube.com/watch?v=${videoId}`;
+    return startMs === undefined ? url : `${url}&t=${Math.floor(startMs / 1000)}s`;
+  }
+
+  root.TranscriptUrls = {
+    parseVideoId,
+    parsePlaylistId,
+    watchUrl
+  };
+})(globalThis);
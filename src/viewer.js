@@ -0,0 +1,336 @@
+/**
+ * Transcript viewer panel
+ * Lists a transcript's cues over the player, follows playback, searches as
+ * you type, seeks when a line is clicked and copies the lines selected in it.
+ * The panel only renders; content.js fetches the transcript through the
+ * same page-script pipeline as a copy and does the clipboard work.
+ */
+(function (root) {
+  /**
+   * How long after the user scrolls the list before it follows playback again
+   */
+  const FOLLOW_PAUSE_MS = 4000;
+
+  /**
+   * Find the cues whose text contains a query, ignoring case
+   * @param {Array} cues
+   * @param {string} query
+   * @returns {number[]} Indices of matching cues, in order
+   */
+  function findMatches(cues, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      return [];
+    }
+    const found = [];
+    cues.forEach((cue, i) => {
+      if (cue.text.toLowerCase().includes(needle)) {
+        found.push(i);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Find the cue being spoken at a time: the last one started by then
+   * @param {Array} cues - Cues in start order
+   * @param {number} time - Playback time in milliseconds
+   * @returns {number} Cue index, or -1 before the first cue
+   */
+  function activeCueIndex(cues, time) {
+    let low = 0;
+    let high = cues.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (cues[mid].start <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Split text around case-insensitive occurrences of a query
+   * @param {string} text
+   * @param {string} query
+   * @returns {Array<{text: string, match: boolean}>} Parts in order
+   */
+  function splitMatches(text, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      return [{ text, match: false }];
+    }
+    const parts = [];
+    const haystack = text.toLowerCase();
+    let from = 0;
+    let at;
+    while ((at = haystack.indexOf(needle, from)) !== -1) {
+      if (at > from) {
+        parts.push({ text: text.slice(from, at), match: false });
+      }
+      parts.push({ text: text.slice(at, at + needle.length), match: true });
+      from = at + needle.length;
+    }
+    if (from < text.length) {
+      parts.push({ text: text.slice(from), match: false });
+    }
+    return parts;
+  }
+
+  /**
+   * Create an element with a class and optional text
+   * @param {string} tag
+   * @param {string} className
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    node.className = className;
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  /**
+   * Create a toolbar button
+   * @param {string} label - Accessible name and tooltip
+   * @param {string} text - Visible text
+   * @param {Function} onClick
+   * @returns {HTMLButtonElement}
+   */
+  function toolbarButton(label, text, onClick) {
+    const button = element('button', 'transcript-viewer-button', text);
+    button.type = 'button';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Create the viewer panel
+   * The panel starts in a loading state; call show() with the transcript.
+   * Keys typed in the panel do not reach YouTube's player shortcuts.
+   * @param {object} options
+   * @param {HTMLVideoElement|null} options.video - Video to follow and seek
+   * @param {Function} options.formatTime - Renders a cue start, e.g. "00:05"
+   * @param {Function} options.onCopy - Called with the selected cues
+   * @param {Function} options.onClose - Called after the panel closes itself
+   * @returns {{element: HTMLElement, show: Function, fail: Function, destroy: Function}}
+   */
+  function createPanel({ video, formatTime, onCopy, onClose }) {
+    const panel = element('section', 'transcript-viewer');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Transcript');
+
+    const search = element('input', 'transcript-viewer-search');
+    search.type = 'search';
+    search.placeholder = 'Search transcript';
+    search.setAttribute('aria-label', 'Search transcript');
+    const count = element('span', 'transcript-viewer-count');
+    count.setAttribute('aria-live', 'polite');
+
+    const bar = element('div', 'transcript-viewer-bar');
+    const list = element('ol', 'transcript-viewer-lines');
+    const status = element('p', 'transcript-viewer-status', 'Loading transcript…');
+    panel.append(bar, status, list);
+
+    let cues = [];
+    let lines = [];
+    let matches = [];
+    let current = -1;
+    let active = -1;
+    let lastUserScroll = 0;
+
+    /**
+     * Scroll the list so a line is visible, without scrolling the page
+     * @param {HTMLElement} line
+     */
+    function reveal(line) {
+      const top = line.offsetTop - list.offsetTop;
+      if (top < list.scrollTop || top + line.offsetHeight > list.scrollTop + list.clientHeight) {
+        list.scrollTop = top - list.clientHeight / 3;
+      }
+    }
+
+    /**
+     * Show the match at a position in the match list
+     * @param {number} position - Wraps around at either end
+     */
+    function goToMatch(position) {
+      lines[matches[current]]?.classList.remove('transcript-viewer-line--current');
+      if (matches.length === 0) {
+        current = -1;
+        count.textContent = search.value.trim() ? 'No matches' : '';
+        return;
+      }
+      current = (position + matches.length) % matches.length;
+      const line = lines[matches[current]];
+      line.classList.add('transcript-viewer-line--current');
+      reveal(line);
+      count.textContent = `${current + 1}/${matches.length}`;
+    }
+
+    /**
+     * Re-run the search and highlight every match
+     */
+    function runSearch() {
+      const query = search.value;
+      const found = findMatches(cues, query);
+      for (const index of new Set([...matches, ...found])) {
+        renderText(index, query);
+      }
+      matches = found;
+      goToMatch(0);
+    }
+
+    /**
+     * Render a line's text with search matches marked
+     * @param {number} index
+     * @param {string} query
+     */
+    function renderText(index, query) {
+      const text = lines[index].querySelector('.transcript-viewer-text');
+      text.replaceChildren(...splitMatches(cues[index].text, query).map(part => (
+        part.match ? element('mark', 'transcript-viewer-match', part.text) : document.createTextNode(part.text)
+      )));
+    }
+
+    /**
+     * Highlight the cue being spoken and keep it in view
+     */
+    function follow() {
+      const index = activeCueIndex(cues, video.currentTime * 1000);
+      if (index === active) {
+        return;
+      }
+      lines[active]?.classList.remove('transcript-viewer-line--active');
+      active = index;
+      const line = lines[active];
+      if (!line) {
+        return;
+      }
+      line.classList.add('transcript-viewer-line--active');
+      if (Date.now() - lastUserScroll > FOLLOW_PAUSE_MS && !search.value.trim()) {
+        reveal(line);
+      }
+    }
+
+    /**
+     * Get the cues of the lines the user's text selection touches
+     * @returns {Array}
+     */
+    function selectedCues() {
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || !panel.contains(selection.anchorNode)) {
+        return [];
+      }
+      return cues.filter((cue, i) => selection.containsNode(lines[i], true));
+    }
+
+    function close() {
+      destroy();
+      onClose();
+    }
+
+    function destroy() {
+      video?.removeEventListener('timeupdate', follow);
+      panel.remove();
+    }
+
+    bar.append(
+      search,
+      count,
+      toolbarButton('Previous match (Shift+Enter)', '↑', () => goToMatch(current - 1)),
+      toolbarButton('Next match (Enter)', '↓', () => goToMatch(current + 1)),
+      toolbarButton('Copy selected lines', 'Copy', () => onCopy(selectedCues())),
+      toolbarButton('Close transcript', '✕', close)
+    );
+
+    search.addEventListener('input', runSearch);
+    panel.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        close();
+      } else if (event.key === 'Enter' && event.target === search) {
+        goToMatch(current + (event.shiftKey ? -1 : 1));
+      }
+    });
+    // YouTube toggles playback on keyup and clicks inside the player
+    panel.addEventListener('keyup', event => event.stopPropagation());
+    panel.addEventListener('click', event => event.stopPropagation());
+    list.addEventListener('wheel', () => {
+      lastUserScroll = Date.now();
+    }, { passive: true });
+    list.addEventListener('touchmove', () => {
+      lastUserScroll = Date.now();
+    }, { passive: true });
+    list.addEventListener('click', (event) => {
+      const line = event.target.closest('.transcript-viewer-line');
+      // Finishing a text selection is not a seek
+      if (!line || !window.getSelection()?.isCollapsed || !video) {
+        return;
+      }
+      video.currentTime = cues[Number(line.dataset.index)].start / 1000;
+    });
+
+    /**
+     * Fill the panel with a transcript
+     * @param {object} transcript - Transcript object with cues and chapters
+     */
+    function show(transcript) {
+      cues = transcript.cues;
+      const chapters = transcript.chapters || [];
+      let chapter = 0;
+      lines = cues.map((cue, i) => {
+        const line = element('li', 'transcript-viewer-line');
+        line.dataset.index = String(i);
+        line.append(element('span', 'transcript-viewer-time', formatTime(cue.start)), element('span', 'transcript-viewer-text', cue.text));
+        // Translations sit in a column of their own, and search only looks at the original
+        if (transcript.translation) {
+          line.classList.add('transcript-viewer-line--bilingual');
+          line.append(element('span', 'transcript-viewer-translation', cue.translation || ''));
+        }
+        return line;
+      });
+      list.replaceChildren(...cues.flatMap((cue, i) => {
+        const headings = [];
+        while (chapter < chapters.length && chapters[chapter].start <= cue.start) {
+          headings.push(element('li', 'transcript-viewer-chapter', chapters[chapter].title));
+          chapter++;
+        }
+        return [...headings, lines[i]];
+      }));
+      status.remove();
+      if (video) {
+        video.addEventListener('timeupdate', follow);
+        follow();
+      }
+      search.focus();
+    }
+
+    /**
+     * Show why the transcript could not be loaded
+     * @param {string} message
+     */
+    function fail(message) {
+      status.textContent = message;
+      status.classList.add('transcript-viewer-status--error');
+    }
+
+    return { element: panel, show, fail, destroy };
+  }
+
+  root.TranscriptViewer = {
+    findMatches,
+    activeCueIndex,
+    splitMatches,
+    createPanel
+  };
+})(globalThis);
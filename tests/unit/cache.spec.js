@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the transcript cache
+ *
+ * Runs cache.js in a Node sandbox with a fake clock, so no browser is needed.
+ */
+
+let TranscriptCache;
+let clock;
+test.beforeEach(() => {
+  ({ TranscriptCache } = loadScripts('src/cache.js'));
+  clock = 0;
+});
+
+function createCache(options) {
+  return TranscriptCache.createCache({ now: () => clock, ...options });
+}
+
+test.describe('createCache', () => {
+  test('loads once and shares the pending load between callers', async () => {
+    const cache = createCache();
+    let loads = 0;
+    const load = async () => ++loads;
+
+    const first = cache.remember('a', load);
+    const second = cache.remember('a', load);
+
+    expect(first.hit).toBe(false);
+    expect(second.hit).toBe(true);
+    expect(await second.promise).toBe(1);
+    expect(loads).toBe(1);
+  });
+
+  test('drops failed loads so the next caller retries', async () => {
+    const cache = createCache();
+
+    await expect(cache.remember('a', async () => { throw new Error('offline'); }).promise).rejects.toThrow('offline');
+    const retry = cache.remember('a', async () => 'ok');
+
+    expect(retry.hit).toBe(false);
+    expect(await retry.promise).toBe('ok');
+  });
+
+  test('loads again once an entry expires', async () => {
+    const cache = createCache({ ttlMs: 1000 });
+    cache.remember('a', async () => 'old');
+
+    clock = 999;
+    expect(cache.remember('a', async () => 'new').hit).toBe(true);
+    clock = 1000;
+    const expired = cache.remember('a', async () => 'new');
+
+    expect(expired.hit).toBe(false);
+    expect(await expired.promise).toBe('new');
+  });
+
+  test('evicts the least recently used entry beyond the size limit', () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.remember('a', async () => 'a');
+    cache.remember('b', async () => 'b');
+    cache.remember('a', async () => 'a');
+    cache.remember('c', async () => 'c');
+
+    expect(cache.size()).toBe(2);
+    expect(cache.remember('a', async () => 'a').hit).toBe(true);
+    expect(cache.remember('b', async () => 'b').hit).toBe(false);
+  });
+});
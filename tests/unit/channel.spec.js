@@ -0,0 +1,143 @@
+import { test, expect } from '@playwright/test';
+import { MessageChannel } from 'worker_threads';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the private content/page request channel
+ *
+ * Runs channel.js in a Node sandbox over a Node MessageChannel, so no
+ * browser is needed.
+ */
+
+let sandbox;
+let TranscriptChannel;
+let channel;
+test.beforeEach(() => {
+  sandbox = loadScripts('src/errors.js', 'src/channel.js');
+  ({ TranscriptChannel } = sandbox);
+  channel = new MessageChannel();
+});
+
+test.afterEach(() => {
+  channel.port1.close();
+  channel.port2.close();
+});
+
+/**
+ * Promise that can be settled from outside, to hold a handler open
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+test.describe('TranscriptChannel', () => {
+  test('answers concurrent requests independently, in completion order', async () => {
+    const slow = deferred();
+    TranscriptChannel.serve(channel.port2, {
+      ECHO: async ({ value, wait }) => {
+        if (wait) {
+          await slow.promise;
+        }
+        return { value };
+      }
+    });
+    const client = TranscriptChannel.createClient(channel.port1);
+
+    const first = client.request('ECHO', { value: 1, wait: true });
+    const second = await client.request('ECHO', { value: 2 });
+    slow.resolve();
+
+    expect(second).toEqual({ value: 2 });
+    expect(await first).toEqual({ value: 1 });
+  });
+
+  test('delivers progress before the result', async () => {
+    TranscriptChannel.serve(channel.port2, {
+      COUNT: async ({ total }, { progress }) => {
+        for (let done = 1; done <= total; done++) {
+          progress({ done, total });
+        }
+        return 'counted';
+      }
+    });
+    const client = TranscriptChannel.createClient(channel.port1);
+    const updates = [];
+
+    const result = await client.request('COUNT', { total: 3 }, { onProgress: update => updates.push(update.done) });
+
+    expect(result).toBe('counted');
+    expect(updates).toEqual([1, 2, 3]);
+  });
+
+  test('rejects handler failures with their code', async () => {
+    TranscriptChannel.serve(channel.port2, {
+      FAIL: async () => {
+        throw new Error('boom');
+      }
+    });
+    const client = TranscriptChannel.createClient(channel.port1);
+
+    await expect(client.request('FAIL')).rejects.toMatchObject({ code: 'UNKNOWN', message: 'boom' });
+    await expect(client.request('MISSING')).rejects.toMatchObject({ code: 'PROTOCOL_MISMATCH' });
+  });
+
+  test('cancelling aborts the handler and rejects with CANCELLED', async () => {
+    const aborted = deferred();
+    TranscriptChannel.serve(channel.port2, {
+      WAIT: (options, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          aborted.resolve(true);
+          reject(new Error('aborted'));
+        });
+      })
+    });
+    const client = TranscriptChannel.createClient(channel.port1);
+    const controller = new AbortController();
+
+    const request = client.request('WAIT', {}, { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(await aborted.promise).toBe(true);
+  });
+
+  test('rejects replies from another protocol version', async () => {
+    channel.port2.onmessage = ({ data }) => {
+      channel.port2.postMessage({ version: TranscriptChannel.PROTOCOL_VERSION + 1, id: data.id, type: 'RESULT', result: 'x' });
+    };
+    const client = TranscriptChannel.createClient(channel.port1);
+
+    await expect(client.request('ANY')).rejects.toMatchObject({ code: 'PROTOCOL_MISMATCH' });
+  });
+
+  test('times out when the page never answers, and cancels the request', async () => {
+    const cancelled = deferred();
+    channel.port2.onmessage = ({ data }) => {
+      if (data.type === 'CANCEL') {
+        cancelled.resolve(data.id);
+      }
+    };
+    const client = TranscriptChannel.createClient(channel.port1);
+
+    await expect(client.request('ANY', {}, { timeoutMs: 20 })).rejects.toMatchObject({ code: 'TIMEOUT' });
+    expect(await cancelled.promise).toBe(1);
+  });
+
+  test('connects by posting one end to the window, same origin only', async () => {
+    sandbox.MessageChannel = MessageChannel;
+    const posted = [];
+    const target = { location: { origin: 'https://www.youtube.com' }, postMessage: (...args) => posted.push(args) };
+
+    const client = TranscriptChannel.connect(target);
+    const [[data, origin, [port]]] = posted;
+    TranscriptChannel.serve(port, { PING: () => 'pong' });
+
+    expect(data).toEqual({ type: TranscriptChannel.CONNECT_TYPE, version: TranscriptChannel.PROTOCOL_VERSION });
+    expect(origin).toBe('https://www.youtube.com');
+    expect(await client.request('PING')).toBe('pong');
+    client.close();
+    port.close();
+  });
+});
@@ -0,0 +1,129 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for chunked output
+ *
+ * Runs chunks.js in a Node sandbox with the formats it renders through.
+ */
+
+let TranscriptChunks;
+let TranscriptFormats;
+test.beforeEach(() => {
+  ({ TranscriptChunks, TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js', 'src/cues.js', 'src/chunks.js'));
+});
+
+/**
+ * Build a transcript of numbered ten-second cues
+ * @param {number} count
+ */
+function transcriptOf(count) {
+  return {
+    videoId: 'abc123',
+    cues: Array.from({ length: count }, (_, i) => ({ start: 3723000 + i * 10000, duration: 10000, text: `Cue number ${i + 1}` })),
+  };
+}
+
+const render = transcript => TranscriptFormats.serialize(transcript, 'timestamped');
+
+test.describe('chunkTranscript', () => {
+  test('splits between cues under the budget and labels every part', () => {
+    const parts = TranscriptChunks.chunkTranscript(transcriptOf(10), render, { size: 120, unit: 'characters' });
+
+    expect(parts).toHaveLength(4);
+    parts.forEach(part => expect(part.text.length).toBeLessThanOrEqual(120));
+    expect(parts.map(part => part.text.split('\n')[0])).toEqual([
+      'Part 1/4, 01:02:03–01:02:33',
+      'Part 2/4, 01:02:33–01:03:03',
+      'Part 3/4, 01:03:03–01:03:33',
+      'Part 4/4, 01:03:33–01:03:43',
+    ]);
+    // Every cue appears exactly once, whole
+    const lines = parts.flatMap(part => part.text.split('\n').slice(2));
+    expect(lines).toEqual(render(transcriptOf(10)).split('\n'));
+  });
+
+  test('repeats overlapping cues at the start of the next part', () => {
+    const parts = TranscriptChunks.chunkTranscript(transcriptOf(10), render, { size: 120, unit: 'characters', overlap: 1 });
+    const lastOfFirst = parts[0].text.split('\n').pop();
+
+    expect(parts[1].text.split('\n')[2]).toBe(lastOfFirst);
+  });
+
+  test('keeps a transcript under the budget in one part', () => {
+    const parts = TranscriptChunks.chunkTranscript(transcriptOf(3), render, { size: 1000, unit: 'tokens' });
+
+    expect(parts).toHaveLength(1);
+    expect(parts[0].text.startsWith('Part 1/1, 01:02:03–01:02:33\n\n[1:02:03] Cue number 1')).toBe(true);
+  });
+
+  test('renders a long transcript a few times per part, not once per cue', () => {
+    const transcript = transcriptOf(6000);
+    let rendered = 0;
+    const counted = part => {
+      rendered += part.cues.length;
+      return render(part);
+    };
+
+    expect(TranscriptChunks.chunkTranscript(transcript, counted, { size: 1000000, unit: 'tokens' })).toHaveLength(1);
+    expect(rendered).toBe(2 * 6000);
+
+    rendered = 0;
+    const parts = TranscriptChunks.chunkTranscript(transcript, counted, { size: 3000, unit: 'tokens' });
+    // Cues rendered in all stays within a small multiple of the transcript
+    expect(rendered).toBeLessThanOrEqual(6000 * 30);
+    parts.forEach(part => expect(TranscriptChunks.measure(part.text, 'tokens')).toBeLessThanOrEqual(3000));
+    const lines = parts.flatMap(part => part.text.split('\n').slice(2));
+    expect(lines).toEqual(render(transcript).split('\n'));
+  });
+
+  test('gives a cue larger than the budget a part of its own', () => {
+    const parts = TranscriptChunks.chunkTranscript(transcriptOf(2), render, { size: 10, unit: 'characters', overlap: 5 });
+
+    expect(parts.map(part => part.start)).toEqual([3723000, 3733000]);
+  });
+});
+
+test.describe('measure', () => {
+  test('estimates tokens at four characters each', () => {
+    expect(TranscriptChunks.measure('a'.repeat(9), 'tokens')).toBe(3);
+    expect(TranscriptChunks.measure('a'.repeat(9), 'characters')).toBe(9);
+  });
+});
+
+test.describe('chunked copies with an endpoint', () => {
+  const settings = { chunked: true, chunkSize: 120, chunkUnit: 'characters', chunkOverlap: 0, endpointUrl: '', endpointOnly: false };
+
+  test('splits copies that are also delivered locally', () => {
+    expect({ ...TranscriptChunks.chunkOptions(settings) }).toEqual({ size: 120, unit: 'characters', overlap: 0 });
+    expect({ ...TranscriptChunks.chunkOptions({ ...settings, endpointUrl: 'http://localhost/ingest' }) }).toEqual({ size: 120, unit: 'characters', overlap: 0 });
+    expect(TranscriptChunks.chunkOptions({ ...settings, chunked: false })).toBeNull();
+  });
+
+  test('copies whole when the endpoint is the only target', () => {
+    expect(TranscriptChunks.chunkOptions({ ...settings, endpointUrl: 'http://localhost/ingest', endpointOnly: true })).toBeNull();
+  });
+
+  test('sends the whole transcript to the endpoint once, with the first part', () => {
+    const transcript = transcriptOf(10);
+    const text = render(transcript);
+    const result = {
+      transcript: text,
+      data: transcript,
+      parts: TranscriptChunks.chunkTranscript(transcript, render, { size: 120, unit: 'characters' }),
+      fileName: 'Talk [abc123].txt',
+      mimeType: 'text/plain',
+    };
+
+    const first = TranscriptChunks.partDelivery(result, 0);
+    const second = TranscriptChunks.partDelivery(result, 1);
+
+    expect(first.transcript).toBe(result.parts[0].text);
+    expect(first.endpointText).toBe(text);
+    expect(first.data).toBe(transcript);
+    expect(first.fileName).toBe('Talk [abc123] part 1 of 4.txt');
+    expect(second.transcript).toBe(result.parts[1].text);
+    expect(second.data).toBeUndefined();
+    expect(second.endpointText).toBeUndefined();
+  });
+});
@@ -0,0 +1,184 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the cue transforms
+ *
+ * Runs cues.js in a Node sandbox, so no browser is needed.
+ */
+
+let TranscriptCues;
+test.beforeEach(() => {
+  ({ TranscriptCues } = loadScripts('src/cues.js'));
+});
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test.describe('removeRepeatedWords', () => {
+  test('drops words a rolling ASR cue repeats from the previous one', () => {
+    const cues = [
+      { start: 0, duration: 3000, text: 'so today we are' },
+      { start: 2000, duration: 3000, text: 'we are going to talk' },
+      { start: 4000, duration: 3000, text: 'going to talk' },
+      { start: 6000, duration: 2000, text: 'about parsing' },
+    ];
+
+    expect(plain(TranscriptCues.removeRepeatedWords(cues))).toEqual([
+      { start: 0, duration: 3000, text: 'so today we are' },
+      { start: 2000, duration: 5000, text: 'going to talk' },
+      { start: 6000, duration: 2000, text: 'about parsing' },
+    ]);
+  });
+
+  test('keeps a single repeated word when cues do not overlap', () => {
+    const cues = [
+      { start: 0, duration: 1000, text: 'I think that' },
+      { start: 1000, duration: 1000, text: 'that is right' },
+    ];
+
+    expect(plain(TranscriptCues.removeRepeatedWords(cues))).toEqual(plain(cues));
+  });
+});
+
+test.describe('word timings', () => {
+  const word = (start, text) => ({ start, text });
+
+  test('follow the words a rolling cue keeps', () => {
+    const cues = [
+      { start: 0, duration: 3000, text: 'so today we', words: [word(0, 'so'), word(400, 'today'), word(900, 'we')] },
+      { start: 2000, duration: 3000, text: 'today we talk', words: [word(2000, 'today'), word(2300, 'we'), word(2600, 'talk')] },
+    ];
+
+    expect(plain(TranscriptCues.removeRepeatedWords(cues))[1].words).toEqual([word(2600, 'talk')]);
+  });
+
+  test('are joined into paragraphs only when every fragment has them', () => {
+    const timed = [
+      { start: 0, duration: 1000, text: 'Hello there.', words: [word(0, 'Hello'), word(500, 'there.')] },
+      { start: 1000, duration: 1000, text: 'Welcome.', words: [word(1000, 'Welcome.')] },
+    ];
+    const mixed = [timed[0], { start: 1000, duration: 1000, text: 'Welcome.' }];
+
+    expect(plain(TranscriptCues.reflow(timed))[0].words).toEqual([word(0, 'Hello'), word(500, 'there.'), word(1000, 'Welcome.')]);
+    expect(plain(TranscriptCues.reflow(mixed))[0].words).toBeUndefined();
+  });
+});
+
+test.describe('reflow', () => {
+  test('joins fragments into sentences and breaks paragraphs on long pauses', () => {
+    const cues = [
+      { start: 0, duration: 2000, text: 'Welcome back.' },
+      { start: 2000, duration: 2000, text: 'Today we look' },
+      { start: 4000, duration: 2000, text: 'at parsers.' },
+      { start: 10000, duration: 2000, text: 'First, tokens.' },
+    ];
+
+    expect(plain(TranscriptCues.reflow(cues))).toEqual([
+      { start: 0, duration: 6000, text: 'Welcome back. Today we look at parsers.' },
+      { start: 10000, duration: 2000, text: 'First, tokens.' },
+    ]);
+  });
+
+  test('uses pauses as sentence ends when there is no punctuation', () => {
+    const cues = [
+      { start: 0, duration: 1000, text: 'one' },
+      { start: 2500, duration: 1000, text: 'two' },
+      { start: 5000, duration: 1000, text: 'three' },
+    ];
+
+    const paragraphs = TranscriptCues.reflow(cues, { paragraphPauseMs: 60000, maxSentences: 2 });
+
+    expect(plain(paragraphs)).toEqual([
+      { start: 0, duration: 3500, text: 'one two' },
+      { start: 5000, duration: 1000, text: 'three' },
+    ]);
+  });
+
+  test('breaks unpunctuated speech without pauses at the length limit', () => {
+    const cues = Array.from({ length: 30 }, (_, i) => ({ start: i * 3000, duration: 3000, text: `w${i}` }));
+
+    const paragraphs = TranscriptCues.reflow(cues);
+
+    expect(paragraphs.length).toBe(2);
+    expect(paragraphs[0].start).toBe(0);
+    expect(paragraphs[1].start).toBe(45000);
+  });
+
+  test('never lets a paragraph span a break', () => {
+    const cues = [
+      { start: 0, duration: 1000, text: 'one' },
+      { start: 1000, duration: 1000, text: 'two' },
+      { start: 2000, duration: 1000, text: 'three' },
+    ];
+
+    const paragraphs = TranscriptCues.reflow(cues, { breaks: [2000] });
+
+    expect(paragraphs.map(p => p.text)).toEqual(['one two', 'three']);
+  });
+});
+
+test.describe('sliceRange', () => {
+  test('keeps cues that overlap the range', () => {
+    const cues = [
+      { start: 0, duration: 2000, text: 'before' },
+      { start: 4000, duration: 2000, text: 'straddles start' },
+      { start: 6000, duration: 0, text: 'instant' },
+      { start: 8000, duration: 2000, text: 'inside' },
+      { start: 10000, duration: 2000, text: 'after' },
+    ];
+
+    expect(TranscriptCues.sliceRange(cues, 5000, 10000).map(c => c.text)).toEqual(['straddles start', 'instant', 'inside']);
+    expect(TranscriptCues.sliceRange(cues, 8000, Infinity).map(c => c.text)).toEqual(['inside', 'after']);
+  });
+});
+
+test.describe('groupByChapter', () => {
+  test('splits cues at chapter starts and drops empty chapters', () => {
+    const cues = [
+      { start: 0, duration: 1000, text: 'cold open' },
+      { start: 5000, duration: 1000, text: 'intro' },
+      { start: 30000, duration: 1000, text: 'outro' },
+    ];
+    const chapters = [
+      { start: 4000, title: 'Intro' },
+      { start: 10000, title: 'Empty' },
+      { start: 20000, title: 'Outro' },
+    ];
+
+    const sections = TranscriptCues.groupByChapter(cues, chapters);
+
+    expect(sections.map(s => [s.chapter?.title ?? null, s.cues.map(c => c.text)])).toEqual([
+      [null, ['cold open']],
+      ['Intro', ['intro']],
+      ['Outro', ['outro']],
+    ]);
+  });
+});
+
+test.describe('alignTranslation', () => {
+  test('attaches translated text to the cue it was spoken over', () => {
+    const cues = [
+      { start: 0, duration: 2000, text: 'one' },
+      { start: 2000, duration: 0, text: 'two' },
+      { start: 6000, duration: 2000, text: 'three' },
+    ];
+    const translated = [
+      { start: 0, duration: 2000, text: 'eins' },
+      { start: 2100, duration: 3000, text: 'zwei' },
+      { start: 6000, duration: 1000, text: 'drei,' },
+      { start: 7000, duration: 1000, text: 'vier' },
+      { start: 9000, duration: 1000, text: 'past the end' },
+    ];
+
+    expect(TranscriptCues.alignTranslation(cues, translated).map(c => c.translation)).toEqual(['eins', 'zwei', 'drei, vier']);
+  });
+
+  test('leaves cues without any translated text as they were', () => {
+    const cues = [{ start: 0, duration: 1000, text: 'one' }, { start: 5000, duration: 1000, text: 'two' }];
+
+    const aligned = TranscriptCues.alignTranslation(cues, [{ start: 5000, duration: 1000, text: 'zwei' }]);
+
+    expect(aligned[0]).toBe(cues[0]);
+    expect(aligned[1]).toEqual({ start: 5000, duration: 1000, text: 'two', translation: 'zwei' });
+  });
+});
@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for file downloads
+ *
+ * Runs download.js in a Node sandbox over a stub document and object URLs.
+ */
+
+let sandbox;
+let events;
+let timers;
+test.beforeEach(() => {
+  sandbox = loadScripts('src/download.js');
+  events = [];
+  timers = [];
+  sandbox.Blob = Blob;
+  sandbox.URL = {
+    createObjectURL: (blob) => {
+      events.push(['create', blob.type]);
+      return 'blob:1';
+    },
+    revokeObjectURL: url => events.push(['revoke', url]),
+  };
+  sandbox.setTimeout = (callback, ms) => timers.push({ callback, ms });
+  const link = {
+    style: {},
+    click: () => events.push(['click', link.href, link.download]),
+    remove: () => events.push(['remove']),
+  };
+  sandbox.document = {
+    createElement: () => link,
+    body: { appendChild: () => events.push(['append']) },
+  };
+});
+
+test.describe('TranscriptDownload', () => {
+  test('clicks a hidden link to the text and revokes it only after a delay', () => {
+    sandbox.TranscriptDownload.saveText('hello', 'Talk [abc].txt', 'text/plain');
+
+    expect(events).toEqual([
+      ['create', 'text/plain;charset=utf-8'],
+      ['append'],
+      ['click', 'blob:1', 'Talk [abc].txt'],
+      ['remove'],
+    ]);
+    expect(timers.map(timer => timer.ms)).toEqual([sandbox.TranscriptDownload.REVOKE_DELAY_MS]);
+
+    timers[0].callback();
+    expect(events.at(-1)).toEqual(['revoke', 'blob:1']);
+  });
+});
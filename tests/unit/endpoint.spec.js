@@ -0,0 +1,95 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for endpoint delivery
+ *
+ * Runs endpoint.js in a Node sandbox with a scripted fetch and no real
+ * delays, so no browser or server is needed.
+ */
+
+let TranscriptEndpoint;
+test.beforeEach(() => {
+  ({ TranscriptEndpoint } = loadScripts('src/urls.js', 'src/errors.js', 'src/endpoint.js'));
+});
+
+const transcript = {
+  videoId: 'abc123',
+  details: { title: 'Talk', channel: 'Chan', lengthMs: 60000, published: '2024-01-02', live: false },
+  track: { languageCode: 'en', kind: 'asr' },
+  chapters: [],
+  cues: [{ start: 0, duration: 1500, text: 'Hello', words: [{ start: 0, text: 'Hello' }] }]
+};
+
+/**
+ * Build a fetch that answers with the given statuses in turn, or throws for errors
+ * @param {Array<number|Error>} answers
+ */
+function scriptedFetch(answers) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    const answer = answers[calls.length - 1];
+    if (answer instanceof Error) {
+      throw answer;
+    }
+    return { ok: answer >= 200 && answer < 300, status: answer, headers: new Map() };
+  };
+  return { fetch, calls };
+}
+
+test.describe('buildPayload', () => {
+  test('carries the cues, video metadata and chosen format', () => {
+    const payload = TranscriptEndpoint.buildPayload(transcript, { format: 'srt', text: '1\n…', now: () => 0 });
+
+    expect(payload).toMatchObject({
+      version: TranscriptEndpoint.PAYLOAD_VERSION,
+      sentAt: '1970-01-01T00:00:00.000Z',
+      format: 'srt',
+      text: '1\n…',
+      video: { id: 'abc123', url: 'https://www.youtube.com/watch?v=abc123', title: 'Talk', channel: 'Chan', lengthMs: 60000 },
+      track: { languageCode: 'en', kind: 'asr' },
+      range: null
+    });
+    expect(payload.cues).toEqual(transcript.cues);
+    expect(payload).not.toHaveProperty('test');
+  });
+});
+
+test.describe('send', () => {
+  test('retries server errors and network failures with growing delays', async () => {
+    const { fetch, calls } = scriptedFetch([503, new Error('Failed to fetch'), 200]);
+    const delays = [];
+
+    const result = await TranscriptEndpoint.send('http://localhost:8080/ingest', { a: 1 }, { fetch, sleep: async ms => delays.push(ms) });
+
+    expect(result).toEqual({ status: 200, attempts: 3 });
+    expect(delays).toEqual([1000, 2000]);
+    expect(calls[0].init.method).toBe('POST');
+    expect(JSON.parse(calls[0].init.body)).toEqual({ a: 1 });
+  });
+
+  test('gives up at once when the endpoint rejects the payload', async () => {
+    const { fetch, calls } = scriptedFetch([400]);
+
+    await expect(TranscriptEndpoint.send('http://localhost/ingest', {}, { fetch, sleep: async () => {} }))
+      .rejects.toMatchObject({ code: 'ENDPOINT_FAILED', details: { status: 400, attempts: 1 } });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('fails with the last reason after every attempt', async () => {
+    const { fetch, calls } = scriptedFetch([500, 502, 503, 504]);
+
+    await expect(TranscriptEndpoint.send('http://localhost/ingest', {}, { fetch, sleep: async () => {} }))
+      .rejects.toThrow('Endpoint delivery failed after 4 attempts: HTTP 504');
+    expect(calls).toHaveLength(TranscriptEndpoint.RETRY_DEFAULTS.attempts);
+  });
+});
+
+test.describe('retryDelay', () => {
+  test('doubles up to the cap and honours a short Retry-After', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => TranscriptEndpoint.retryDelay(attempt))).toEqual([1000, 2000, 4000, 8000, 8000]);
+    expect(TranscriptEndpoint.retryDelay(1, '3')).toBe(3000);
+    expect(TranscriptEndpoint.retryDelay(1, '3600')).toBe(1000);
+  });
+});
@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the transcript error taxonomy
+ *
+ * Runs errors.js in a Node sandbox, so no browser is needed.
+ */
+
+let TranscriptErrors;
+test.beforeEach(() => {
+  ({ TranscriptErrors } = loadScripts('src/errors.js'));
+});
+
+test.describe('TranscriptError', () => {
+  test('survives the trip through a message as code, message and details', () => {
+    const original = new TranscriptErrors.TranscriptError('PLAYER_HTTP_ERROR', 'Player API failed: 403', { status: 403 });
+
+    const wire = JSON.parse(JSON.stringify(TranscriptErrors.serializeError(original)));
+    const restored = TranscriptErrors.deserializeError(wire);
+
+    expect(wire).toEqual({ code: 'PLAYER_HTTP_ERROR', message: 'Player API failed: 403', details: { status: 403 } });
+    expect(restored.code).toBe('PLAYER_HTTP_ERROR');
+    expect(restored.message).toBe('Player API failed: 403');
+    expect(restored.details.status).toBe(403);
+  });
+
+  test('defaults the message to the code description', () => {
+    expect(new TranscriptErrors.TranscriptError('NO_TRACKS').message).toBe('Video has no captions');
+  });
+
+  test('treats plain errors, unknown codes and string errors as UNKNOWN', () => {
+    expect(TranscriptErrors.serializeError(new Error('boom')).code).toBe('UNKNOWN');
+    expect(new TranscriptErrors.TranscriptError('NOT_A_CODE', 'x').code).toBe('UNKNOWN');
+    expect(TranscriptErrors.deserializeError('Player API failed: 500').code).toBe('UNKNOWN');
+  });
+});
@@ -0,0 +1,329 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the transcript output formats
+ *
+ * Runs formats.js in a Node sandbox, so no browser is needed.
+ */
+
+test.describe('TranscriptFormats', () => {
+  const cues = [
+    { start: 0, duration: 2500, text: 'Hello & welcome' },
+    { start: 2500, duration: 0, text: 'to the show' },
+    { start: 3725000, duration: 1500, text: "It's late" },
+  ];
+  const transcript = { videoId: 'abc123', track: { languageCode: 'en', kind: 'manual' }, cues };
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js'));
+  });
+
+  test('timestamped format matches the original bracketed output', () => {
+    expect(TranscriptFormats.serialize(transcript, 'timestamped')).toBe(
+      "[00:00] Hello & welcome\n[00:02] to the show\n[1:02:05] It's late"
+    );
+  });
+
+  test('timestamped is the default format', () => {
+    expect(TranscriptFormats.serialize(transcript)).toBe(
+      TranscriptFormats.serialize(transcript, 'timestamped')
+    );
+  });
+
+  test('plain format drops timestamps', () => {
+    expect(TranscriptFormats.serialize(transcript, 'plain')).toBe(
+      "Hello & welcome\nto the show\nIt's late"
+    );
+  });
+
+  test('srt format numbers cues and ends zero-length cues at the next start', () => {
+    expect(TranscriptFormats.serialize(transcript, 'srt')).toBe([
+      '1\n00:00:00,000 --> 00:00:02,500\nHello & welcome',
+      '2\n00:00:02,500 --> 01:02:05,000\nto the show',
+      "3\n01:02:05,000 --> 01:02:06,500\nIt's late",
+    ].join('\n\n') + '\n');
+  });
+
+  test('vtt format has a header and dotted milliseconds', () => {
+    const vtt = TranscriptFormats.serialize(transcript, 'vtt');
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nHello & welcome')).toBe(true);
+  });
+
+  test('json format emits cues with times in seconds', () => {
+    expect(JSON.parse(TranscriptFormats.serialize(transcript, 'json'))).toEqual([
+      { start: 0, duration: 2.5, text: 'Hello & welcome' },
+      { start: 2.5, duration: 0, text: 'to the show' },
+      { start: 3725, duration: 1.5, text: "It's late" },
+    ]);
+  });
+
+  test('json format includes word timings when cues have them', () => {
+    const timed = { ...transcript, cues: [{ start: 160, duration: 1000, text: 'so today', words: [{ start: 160, text: 'so' }, { start: 480, text: 'today' }] }] };
+
+    expect(JSON.parse(TranscriptFormats.serialize(timed, 'json'))).toEqual([
+      { start: 0.16, duration: 1, text: 'so today', words: [{ start: 0.16, text: 'so' }, { start: 0.48, text: 'today' }] },
+    ]);
+  });
+
+  test('timestamps off turns timestamped text formats into plain text only', () => {
+    expect(TranscriptFormats.resolveTimestamps('timestamped', false)).toBe('plain');
+    expect(TranscriptFormats.resolveTimestamps('markdown', false)).toBe('plain');
+    expect(TranscriptFormats.resolveTimestamps('srt', false)).toBe('srt');
+    expect(TranscriptFormats.resolveTimestamps('markdown', true)).toBe('markdown');
+  });
+
+  test('file names carry channel, title, id and the extension', () => {
+    expect(TranscriptFormats.fileName({ id: 'abc123', title: 'Talk: "What/Why?"', channel: 'Chan' }, 'srt'))
+      .toBe('Chan - Talk_ _What_Why_ [abc123].srt');
+    expect(TranscriptFormats.fileName({ id: 'abc123' }, 'md')).toBe('[abc123].md');
+    expect(TranscriptFormats.fileName({ id: 'abc123', title: 'x'.repeat(300) }, 'json')).toBe(`${'x'.repeat(150)} [abc123].json`);
+  });
+
+  test('unknown format names are rejected', () => {
+    expect(() => TranscriptFormats.serialize(transcript, 'docx')).toThrow('Unknown transcript format: docx');
+  });
+});
+
+test.describe('TranscriptFormats with paragraphs', () => {
+  test('text formats separate paragraphs with a blank line', () => {
+    const { TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js');
+    const transcript = {
+      paragraphs: true,
+      cues: [
+        { start: 0, duration: 6000, text: 'First paragraph.' },
+        { start: 10000, duration: 2000, text: 'Second paragraph.' },
+      ],
+    };
+
+    expect(TranscriptFormats.serialize(transcript, 'timestamped')).toBe(
+      '[00:00] First paragraph.\n\n[00:10] Second paragraph.'
+    );
+    expect(TranscriptFormats.serialize(transcript, 'plain')).toBe('First paragraph.\n\nSecond paragraph.');
+  });
+});
+
+test.describe('TranscriptFormats with chapters', () => {
+  const transcript = {
+    cues: [
+      { start: 0, duration: 2000, text: 'Hi' },
+      { start: 65000, duration: 2000, text: 'Setup' },
+      { start: 70000, duration: 2000, text: 'More setup' },
+    ],
+    chapters: [{ start: 0, title: 'Intro' }, { start: 60000, title: 'Setup' }],
+  };
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js', 'src/cues.js'));
+  });
+
+  test('text formats get a table of contents and a heading per chapter', () => {
+    expect(TranscriptFormats.serialize(transcript, 'timestamped')).toBe([
+      'Chapters:',
+      '[00:00] Intro',
+      '[01:00] Setup',
+      '',
+      '## Intro [00:00]',
+      '',
+      '[00:00] Hi',
+      '',
+      '## Setup [01:00]',
+      '',
+      '[01:05] Setup',
+      '[01:10] More setup',
+    ].join('\n'));
+  });
+
+  test('WebVTT marks chapter starts with NOTE blocks', () => {
+    expect(TranscriptFormats.serialize(transcript, 'vtt')).toBe([
+      'WEBVTT',
+      'NOTE Chapter: Intro',
+      '00:00:00.000 --> 00:00:02.000\nHi',
+      'NOTE Chapter: Setup',
+      '00:01:05.000 --> 00:01:07.000\nSetup',
+      '00:01:10.000 --> 00:01:12.000\nMore setup',
+    ].join('\n\n') + '\n');
+  });
+
+  test('JSON labels each cue with its chapter', () => {
+    const cues = JSON.parse(TranscriptFormats.serialize(transcript, 'json'));
+    expect(cues.map(cue => cue.chapter)).toEqual(['Intro', 'Setup', 'Setup']);
+  });
+});
+
+test.describe('timestamp links', () => {
+  const transcript = {
+    videoId: 'abc123def45',
+    cues: [
+      { start: 0, duration: 2000, text: 'Fish & <chips>' },
+      { start: 754900, duration: 2000, text: 'Later' },
+    ],
+  };
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js', 'src/cues.js'));
+  });
+
+  test('markdown links every timestamp to that moment in the video', () => {
+    expect(TranscriptFormats.serialize(transcript, 'markdown')).toBe([
+      '[00:00](https://www.youtube.com/watch?v=abc123def45&t=0s) Fish & <chips>',
+      '[12:34](https://www.youtube.com/watch?v=abc123def45&t=754s) Later',
+    ].join('\n'));
+  });
+
+  test('HTML links timestamps and escapes caption text', () => {
+    expect(TranscriptFormats.toHtml(transcript)).toBe([
+      '<div><a href="https://www.youtube.com/watch?v=abc123def45&amp;t=0s">[00:00]</a> Fish &amp; &lt;chips&gt;</div>',
+      '<div><a href="https://www.youtube.com/watch?v=abc123def45&amp;t=754s">[12:34]</a> Later</div>',
+    ].join('\n'));
+  });
+
+  test('HTML chapters get linked headings', () => {
+    const html = TranscriptFormats.toHtml({ ...transcript, chapters: [{ start: 0, title: 'Intro' }, { start: 600000, title: 'Outro' }] });
+
+    expect(html).toContain('<li><a href="https://www.youtube.com/watch?v=abc123def45&amp;t=600s">[10:00]</a> Outro</li>');
+    expect(html).toContain('<h2>Outro <a href="https://www.youtube.com/watch?v=abc123def45&amp;t=600s">[10:00]</a></h2>');
+  });
+});
+
+test.describe('bilingual transcripts', () => {
+  const transcript = {
+    videoId: 'abc123def45',
+    translation: { languageCode: 'de', name: 'German' },
+    cues: [
+      { start: 0, duration: 2000, text: 'Hello', translation: 'Hallo' },
+      { start: 2000, duration: 2000, text: 'untranslated' },
+    ],
+  };
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js', 'src/cues.js'));
+  });
+
+  test('interleaves translations by default and can put them side by side', () => {
+    expect(TranscriptFormats.serialize(transcript, 'timestamped')).toBe('[00:00] Hello\nHallo\n[00:02] untranslated');
+    expect(TranscriptFormats.serialize(transcript, 'srt', { translationLayout: 'side-by-side' })).toBe(
+      '1\n00:00:00,000 --> 00:00:02,000\nHello | Hallo\n\n2\n00:00:02,000 --> 00:00:04,000\nuntranslated\n'
+    );
+  });
+
+  test('JSON keeps the translation as a field of its own', () => {
+    const cues = JSON.parse(TranscriptFormats.serialize(transcript, 'json', { translationLayout: 'side-by-side' }));
+    expect(cues.map(cue => [cue.text, cue.translation])).toEqual([['Hello', 'Hallo'], ['untranslated', undefined]]);
+  });
+
+  test('HTML breaks interleaved translations onto their own line', () => {
+    expect(TranscriptFormats.toHtml(transcript)).toContain('[00:00]</a> Hello<br>Hallo</div>');
+  });
+
+  test('header names the translation language', () => {
+    expect(TranscriptFormats.serialize(transcript, 'plain', { header: 'text' })).toContain('Translation: de (YouTube machine translation)');
+  });
+});
+
+test.describe('metadata header', () => {
+  const transcript = {
+    videoId: 'abc123def45',
+    track: { id: 'a.en', languageCode: 'en', name: 'English (auto-generated)', kind: 'asr' },
+    details: { title: 'Parsing "fast"', channel: 'Compilers Inc', lengthMs: 3725000, published: '2024-05-01' },
+    extractedAt: '2026-01-02T03:04:05.000Z',
+    cues: [{ start: 0, duration: 1000, text: 'Hello' }],
+  };
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js', 'src/cues.js'));
+  });
+
+  test('YAML front matter quotes every value', () => {
+    expect(TranscriptFormats.serialize(transcript, 'timestamped', { header: 'yaml' })).toBe([
+      '---',
+      'title: "Parsing \\"fast\\""',
+      'channel: "Compilers Inc"',
+      'url: "https://www.youtube.com/watch?v=abc123def45"',
+      'duration: "1:02:05"',
+      'published: "2024-05-01"',
+      'extracted: "2026-01-02T03:04:05.000Z"',
+      'language: "en"',
+      'captions: "auto-generated"',
+      '---',
+      '',
+      '[00:00] Hello',
+    ].join('\n'));
+  });
+
+  test('plain text header uses labels and leaves out unknown fields', () => {
+    const sparse = { ...transcript, details: { title: 'Talk' }, range: { start: 60000, end: Infinity } };
+
+    expect(TranscriptFormats.serialize(sparse, 'plain', { header: 'text' })).toBe([
+      'Title: Talk',
+      'URL: https://www.youtube.com/watch?v=abc123def45',
+      'Extracted: 2026-01-02T03:04:05.000Z',
+      'Language: en',
+      'Captions: auto-generated',
+      'Range: 01:00–end',
+      '',
+      'Hello',
+    ].join('\n'));
+  });
+
+  test('WebVTT carries the header in a NOTE block and SRT never gets one', () => {
+    expect(TranscriptFormats.serialize(transcript, 'vtt', { header: 'yaml' })).toMatch(/^WEBVTT\n\nNOTE\nTitle: Parsing "fast"\n/);
+    expect(TranscriptFormats.serialize(transcript, 'srt', { header: 'yaml' })).toBe(TranscriptFormats.serialize(transcript, 'srt'));
+  });
+
+  test('is off by default', () => {
+    expect(TranscriptFormats.serialize(transcript, 'timestamped')).toBe('[00:00] Hello');
+  });
+});
+
+test.describe('serializeCollection', () => {
+  const entries = [
+    { videoId: 'aaaaaaaaaaa', title: 'Lecture 1', transcript: { cues: [{ start: 0, duration: 1000, text: 'Intro' }] } },
+    { videoId: 'bbbbbbbbbbb', title: 'Lecture 2', error: 'No transcript available' },
+  ];
+
+  let TranscriptFormats;
+  test.beforeEach(() => {
+    ({ TranscriptFormats } = loadScripts('src/urls.js', 'src/formats.js'));
+  });
+
+  test('text formats get per-video headings and a summary of missing videos', () => {
+    expect(TranscriptFormats.serializeCollection(entries, 'timestamped')).toBe([
+      '# 1. Lecture 1',
+      'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+      '',
+      '[00:00] Intro',
+      '',
+      '---',
+      '',
+      'Transcripts: 1 of 2 videos',
+      'Without transcript:',
+      '- 2. Lecture 2 (https://www.youtube.com/watch?v=bbbbbbbbbbb): No transcript available',
+      '',
+    ].join('\n'));
+  });
+
+  test('json format is one object with an entry per video', () => {
+    expect(JSON.parse(TranscriptFormats.serializeCollection(entries, 'json'))).toEqual({
+      videos: [
+        {
+          videoId: 'aaaaaaaaaaa',
+          title: 'Lecture 1',
+          url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+          cues: [{ start: 0, duration: 1, text: 'Intro' }],
+        },
+        {
+          videoId: 'bbbbbbbbbbb',
+          title: 'Lecture 2',
+          url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb',
+          error: 'No transcript available',
+        },
+      ],
+    });
+  });
+});
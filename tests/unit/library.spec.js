@@ -0,0 +1,92 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the transcript library
+ *
+ * Runs library.js in a Node sandbox. Only the indexing, search and
+ * retention logic is covered; the IndexedDB calls need a browser.
+ */
+
+let TranscriptLibrary;
+test.beforeEach(() => {
+  ({ TranscriptLibrary } = loadScripts('src/library.js'));
+});
+
+const transcript = {
+  videoId: 'abc123def45',
+  details: { title: 'Rust in Production', channel: 'Conf Talks' },
+  track: { id: 'a.en', languageCode: 'en', kind: 'asr' },
+  translation: { languageCode: 'de', name: 'German', cues: [] },
+  chapters: [],
+  extractedAt: '2026-10-01T10:00:00.000Z',
+  extraction: { strategy: 'android' },
+  cues: [
+    { start: 0, duration: 2000, text: 'Welcome to the talk', translation: 'Willkommen zum Vortrag' },
+    { start: 2000, duration: 2000, text: 'Memory safety without garbage collection' },
+    { start: 4000, duration: 2000, text: 'Safety first, then speed' },
+  ],
+};
+
+test.describe('toRecord', () => {
+  test('keys records by video, track and translation and indexes every word once', () => {
+    const record = TranscriptLibrary.toRecord(transcript, () => 0);
+
+    expect(record.id).toBe('abc123def45|a.en|de');
+    expect(record.savedAt).toBe('1970-01-01T00:00:00.000Z');
+    expect(record.translation).toEqual({ languageCode: 'de', name: 'German' });
+    expect(record).not.toHaveProperty('extraction');
+    expect(record.terms).toContain('willkommen');
+    expect(record.terms.filter(term => term === 'safety')).toHaveLength(1);
+  });
+});
+
+test.describe('findHits', () => {
+  test('matches word starts and lists the cues holding every word', () => {
+    const { findHits, toRecord } = TranscriptLibrary;
+    const result = findHits(toRecord(transcript), 'Safe garb');
+
+    expect(result.title).toBe(false);
+    expect(result.hits).toEqual([{ start: 2000, text: 'Memory safety without garbage collection' }]);
+  });
+
+  test('falls back to cues with any word when no cue has them all', () => {
+    const { findHits, toRecord } = TranscriptLibrary;
+    const result = findHits(toRecord(transcript), 'rust speed');
+
+    expect(result.title).toBe(false);
+    expect(result.hits.map(hit => hit.start)).toEqual([4000]);
+  });
+
+  test('searches translations and titles, and misses records without every word', () => {
+    const { findHits, toRecord } = TranscriptLibrary;
+
+    expect(findHits(toRecord(transcript), 'vortrag').hits).toEqual([
+      { start: 0, text: 'Welcome to the talk', translation: 'Willkommen zum Vortrag' },
+    ]);
+    expect(findHits(toRecord(transcript), 'rust production').title).toBe(true);
+    expect(findHits(toRecord(transcript), 'safety python')).toBeNull();
+    expect(findHits(toRecord(transcript), '  ')).toBeNull();
+  });
+});
+
+test.describe('selectExpired', () => {
+  const records = [
+    { id: 'a', savedAt: '2026-10-18T00:00:00.000Z' },
+    { id: 'b', savedAt: '2026-09-01T00:00:00.000Z' },
+    { id: 'c', savedAt: '2026-10-10T00:00:00.000Z' },
+  ];
+  const now = () => Date.parse('2026-10-19T00:00:00.000Z');
+
+  test('drops the oldest records past the entry limit', () => {
+    expect(TranscriptLibrary.selectExpired(records, { maxEntries: 2, now })).toEqual(['b']);
+  });
+
+  test('drops records older than the day limit', () => {
+    expect(TranscriptLibrary.selectExpired(records, { maxDays: 7, now })).toEqual(['c', 'b']);
+  });
+
+  test('keeps everything without limits', () => {
+    expect(TranscriptLibrary.selectExpired(records, { maxEntries: 0, maxDays: 0, now })).toEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+/**
+ * Load extension scripts into a fresh sandbox, the way the page would
+ *
+ * The sandbox doubles as `window` so page scripts that export onto it or
+ * register message listeners load without a browser. Console output from
+ * the scripts is discarded to keep test output readable.
+ *
+ * @param {...string} scriptPaths - Repo-relative script paths, in load order
+ * @returns {object} The sandbox global
+ */
+export function loadScripts(...scriptPaths) {
+  const sandbox = {
+    console: { log() {}, error() {}, warn() {} },
+    location: new URL('https://www.youtube.com/'),
+    addEventListener() {},
+    removeEventListener() {},
+    postMessage() {},
+    URL,
+    URLSearchParams,
+    AbortController,
+    AbortSignal,
+    setTimeout,
+    clearTimeout,
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  for (const scriptPath of scriptPaths) {
+    const source = fs.readFileSync(path.resolve(scriptPath), 'utf8');
+    vm.runInContext(source, sandbox, { filename: scriptPath });
+  }
+  return sandbox;
+}
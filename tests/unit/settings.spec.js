@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for settings validation, export and import
+ *
+ * Runs settings.js in a Node sandbox over an in-memory chrome.storage.sync.
+ */
+
+let TranscriptSettings;
+let stored;
+test.beforeEach(() => {
+  const sandbox = loadScripts('src/errors.js', 'src/formats.js', 'src/settings.js');
+  stored = {};
+  sandbox.chrome = {
+    storage: {
+      sync: {
+        get: async keys => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+        set: async (changes) => {
+          Object.assign(stored, changes);
+        },
+      },
+    },
+  };
+  ({ TranscriptSettings } = sandbox);
+});
+
+test.describe('TranscriptSettings', () => {
+  test('every default passes validation', () => {
+    const { invalid, unknown } = TranscriptSettings.validate(TranscriptSettings.DEFAULTS);
+
+    expect(invalid).toEqual([]);
+    expect(unknown).toEqual([]);
+  });
+
+  test('rejects values of the wrong type or out of range', () => {
+    const { invalid } = TranscriptSettings.validate({
+      timeoutSeconds: 1,
+      trackPreference: ['en', 'not a code'],
+      header: 'xml',
+      gl: 'us',
+      silent: 'yes',
+      translationLanguage: 'German',
+      translationLayout: 'stacked',
+    });
+
+    expect(invalid).toEqual(['timeoutSeconds', 'trackPreference', 'header', 'gl', 'silent', 'translationLanguage', 'translationLayout']);
+  });
+
+  test('accepts only format names formats.js knows', () => {
+    expect(TranscriptSettings.validate({ format: 'srt' }).invalid).toEqual([]);
+    expect(TranscriptSettings.validate({ format: 'docx' }).invalid).toEqual(['format']);
+    expect(TranscriptSettings.validate({ format: 'constructor' }).invalid).toEqual(['format']);
+  });
+
+  test('accepts only http and https endpoint addresses, or none', () => {
+    const { valid, invalid } = TranscriptSettings.validate({ endpointUrl: 'http://localhost:8080/ingest' });
+    expect(valid).toEqual({ endpointUrl: 'http://localhost:8080/ingest' });
+    expect(invalid).toEqual([]);
+
+    expect(TranscriptSettings.validate({ endpointUrl: '' }).invalid).toEqual([]);
+    expect(TranscriptSettings.validate({ endpointUrl: 'ftp://example.com/' }).invalid).toEqual(['endpointUrl']);
+    expect(TranscriptSettings.validate({ endpointUrl: 'localhost:8080' }).invalid).toEqual(['endpointUrl']);
+  });
+
+  test('accepts named templates that fit the sync quota, with unique names', () => {
+    const template = { name: 'Obsidian', extension: 'md', body: '## Transcript\n{{#cues}}{{text}}\n{{/cues}}' };
+
+    expect(TranscriptSettings.validate({ templates: [template], template: 'Obsidian' }).invalid).toEqual([]);
+    expect(TranscriptSettings.validate({ templates: [template, { ...template }] }).invalid).toEqual(['templates']);
+    expect(TranscriptSettings.validate({ templates: [{ ...template, extension: '.md' }] }).invalid).toEqual(['templates']);
+    expect(TranscriptSettings.validate({ templates: [{ ...template, body: 'é'.repeat(4100) }] }).invalid).toEqual(['templates']);
+  });
+
+  test('round-trips an export through import', async () => {
+    stored = { format: 'srt', hl: 'de', trackPreference: ['de:manual', '*'] };
+    const json = await TranscriptSettings.exportSettings();
+    stored = {};
+
+    const { applied, ignored } = await TranscriptSettings.importSettings(json);
+
+    expect(applied.length).toBe(Object.keys(TranscriptSettings.DEFAULTS).length);
+    expect(ignored).toEqual([]);
+    expect(stored.format).toBe('srt');
+    expect(stored.trackPreference).toEqual(['de:manual', '*']);
+  });
+
+  test('imports nothing when any setting is invalid, and skips unknown keys', async () => {
+    await expect(TranscriptSettings.importSettings('{"format":"srt","timeoutSeconds":"15"}'))
+      .rejects.toMatchObject({ code: 'INVALID_OPTION', details: { keys: ['timeoutSeconds'] } });
+    expect(stored).toEqual({});
+
+    const { ignored } = await TranscriptSettings.importSettings('{"format":"srt","theme":"dark"}');
+    expect(ignored).toEqual(['theme']);
+    expect(stored).toEqual({ format: 'srt' });
+  });
+
+  test('rejects files that are not a JSON object', async () => {
+    await expect(TranscriptSettings.importSettings('not json')).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+    await expect(TranscriptSettings.importSettings('[1]')).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+  });
+});
@@ -0,0 +1,80 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for user-defined output templates
+ *
+ * Runs templates.js in a Node sandbox, the way the page script loads it.
+ */
+
+let TranscriptTemplates;
+test.beforeEach(() => {
+  ({ TranscriptTemplates } = loadScripts('src/urls.js', 'src/errors.js', 'src/formats.js', 'src/templates.js'));
+});
+
+const transcript = {
+  videoId: 'abc123',
+  extractedAt: '2026-10-19T08:00:00.000Z',
+  details: { title: 'Pipes | "Quotes"', channel: 'Chan', lengthMs: 90000 },
+  track: { languageCode: 'en', kind: 'manual' },
+  chapters: [{ start: 0, title: 'Intro' }, { start: 60000, title: 'Main' }],
+  cues: [
+    { start: 0, duration: 2000, text: 'Hello' },
+    { start: 61000, duration: 0, text: 'Second | part' }
+  ]
+};
+
+test.describe('render', () => {
+  test('fills metadata placeholders and drops standalone block lines', () => {
+    const body = [
+      '---',
+      'title: {{title|json}}',
+      'source: {{url}}',
+      'date: {{date}}',
+      '---',
+      '## Transcript',
+      '{{#cues}}',
+      '- [{{start}}]({{link}}) {{text}}',
+      '{{/cues}}',
+    ].join('\n');
+
+    expect(TranscriptTemplates.render(body, transcript)).toBe([
+      '---',
+      'title: "Pipes | \\"Quotes\\""',
+      'source: https://www.youtube.com/watch?v=abc123',
+      'date: 2026-10-19',
+      '---',
+      '## Transcript',
+      '- [00:00](https://www.youtube.com/watch?v=abc123&t=0s) Hello',
+      '- [01:01](https://www.youtube.com/watch?v=abc123&t=61s) Second | part',
+      '',
+    ].join('\n'));
+  });
+
+  test('gives cues their end, index and chapter, and escapes table cells', () => {
+    const body = '| # | Start | End | Chapter | Text |\n{{#cues}}\n| {{index}} | {{start}} | {{end}} | {{chapter}} | {{text|table}} |\n{{/cues}}';
+
+    expect(TranscriptTemplates.render(body, transcript).split('\n')).toEqual([
+      '| # | Start | End | Chapter | Text |',
+      '| 1 | 00:00 | 00:02 | Intro | Hello |',
+      '| 2 | 01:01 | 01:01 | Main | Second \\| part |',
+      '',
+    ]);
+  });
+
+  test('keeps value blocks only when the value is set', () => {
+    const body = '{{#published}}Published {{published}}\n{{/published}}{{#channel}}By {{channel}}{{/channel}}';
+
+    expect(TranscriptTemplates.render(body, transcript)).toBe('By Chan');
+  });
+});
+
+test.describe('compile', () => {
+  test('rejects unknown placeholders, filters and mismatched blocks', () => {
+    expect(() => TranscriptTemplates.compile('{{author}}')).toThrow('unknown placeholder {{author}}');
+    expect(() => TranscriptTemplates.compile('{{start}}')).toThrow('unknown placeholder {{start}}');
+    expect(() => TranscriptTemplates.compile('{{title|upper}}')).toThrow('unknown filter "upper"');
+    expect(() => TranscriptTemplates.compile('{{#cues}}{{/chapters}}')).toThrow('{{/chapters}} closes {{#cues}}');
+    expect(() => TranscriptTemplates.compile('{{cues}}')).toThrow('use {{#cues}}');
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for caption track parsing
+ *
+ * Runs timedtext.js in a Node sandbox against captured responses of each
+ * timedtext variant in fixtures/timedtext, so no network access is needed.
+ */
+
+function fixture(name) {
+  return fs.readFileSync(path.resolve('tests/unit/fixtures/timedtext', name), 'utf8');
+}
+
+// Plain data, so sandbox objects compare with toEqual
+function parse(body) {
+  return JSON.parse(JSON.stringify(TranscriptTimedText.parseTimedText(body)));
+}
+
+// The same captions as served in each XML variant without word timings
+const PLAIN_CUES = [
+  { start: 0, duration: 2500, text: 'Hello & welcome' },
+  { start: 2500, duration: 3000, text: 'to the show' },
+  { start: 3725000, duration: 1500, text: "It's late" },
+];
+
+// ASR captions with word timings, as served in srv3 and json3
+const ASR_CUES = [
+  {
+    start: 160,
+    duration: 4080,
+    text: "so today we're talking",
+    words: [
+      { start: 160, text: 'so' },
+      { start: 480, text: 'today' },
+      { start: 800, text: "we're" },
+      { start: 1280, text: 'talking' },
+    ],
+  },
+  {
+    start: 2640,
+    duration: 3920,
+    text: 'about caption parsers',
+    words: [
+      { start: 2640, text: 'about' },
+      { start: 3040, text: 'caption' },
+      { start: 3520, text: 'parsers' },
+    ],
+  },
+];
+
+let TranscriptTimedText;
+test.beforeEach(() => {
+  ({ TranscriptTimedText } = loadScripts('src/timedtext.js'));
+});
+
+test.describe('parseTimedText', () => {
+  test('parses srv1 seconds, double-encoded entities and markup', () => {
+    expect(TranscriptTimedText.detectFormat(fixture('srv1.xml'))).toBe('srv1');
+    expect(parse(fixture('srv1.xml'))).toEqual([
+      PLAIN_CUES[0],
+      PLAIN_CUES[1],
+      { start: 6100, duration: 1200, text: '[Music]' },
+      PLAIN_CUES[2],
+    ]);
+  });
+
+  test('parses srv2 text cues in milliseconds', () => {
+    expect(TranscriptTimedText.detectFormat(fixture('srv2.xml'))).toBe('srv2');
+    expect(parse(fixture('srv2.xml'))).toEqual(PLAIN_CUES);
+  });
+
+  test('parses srv3 paragraphs with line breaks and entities', () => {
+    expect(TranscriptTimedText.detectFormat(fixture('srv3-manual.xml'))).toBe('srv3');
+    expect(parse(fixture('srv3-manual.xml'))).toEqual(PLAIN_CUES);
+  });
+
+  test('keeps srv3 word segments as absolute word timings', () => {
+    expect(parse(fixture('srv3-asr.xml'))).toEqual(ASR_CUES);
+  });
+
+  test('parses json3 events, skipping window definitions and line-break appends', () => {
+    expect(TranscriptTimedText.detectFormat(fixture('json3.json'))).toBe('json3');
+    expect(parse(fixture('json3.json'))).toEqual([
+      ...ASR_CUES,
+      { start: 7000, duration: 2000, text: 'A manual line' },
+    ]);
+  });
+
+  test('returns no cues for bodies it does not recognise', () => {
+    expect(parse('<html><body>Sign in</body></html>')).toEqual([]);
+    expect(parse('{ not json')).toEqual([]);
+  });
+});
@@ -0,0 +1,456 @@
+import { test, expect } from '@playwright/test';
+import vm from 'vm';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the page-context transcript module
+ *
+ * Runs the page scripts in a Node sandbox against captured caption data,
+ * so no browser or network access is needed.
+ */
+
+const SAMPLE_XML = `<?xml version="1.0" encoding="utf-8" ?><timedtext format="3">
+<body>
+<p t="0" d="2500">Hello &amp; welcome</p>
+<p t="2500" d="3000">to the
+show</p>
+<p t="5500" d="0"></p>
+<p t="3725000" d="1500">It&#39;s late</p>
+</body>
+</timedtext>`;
+
+// Caption tracks as listed in the Android player response
+const TRACKS = [
+  { languageCode: 'de', kind: undefined, vssId: '.de', name: { runs: [{ text: 'German' }] } },
+  { languageCode: 'en', kind: 'asr', vssId: 'a.en', name: { runs: [{ text: 'English (auto-generated)' }] } },
+  { languageCode: 'en-GB', kind: undefined, vssId: '.en-GB', name: { runs: [{ text: 'English (United Kingdom)' }] } },
+];
+
+let page;
+test.beforeEach(() => {
+  page = loadScripts('src/urls.js', 'src/errors.js', 'src/channel.js', 'src/formats.js', 'src/templates.js', 'src/cues.js', 'src/chunks.js', 'src/timedtext.js', 'src/cache.js', 'src/transcript.js');
+});
+
+test.describe('selectTrack', () => {
+  test('defaults to the first manual track', () => {
+    expect(page.selectTrack(TRACKS).vssId).toBe('.de');
+  });
+
+  test('follows the preference order', () => {
+    expect(page.selectTrack(TRACKS, { trackPreference: ['en:manual', 'en:asr', '*'] }).vssId).toBe('a.en');
+    expect(page.selectTrack(TRACKS, { trackPreference: ['en-gb', 'en'] }).vssId).toBe('.en-GB');
+  });
+
+  test('prefers manual tracks among matches of a kind-less entry', () => {
+    const tracks = [TRACKS[1], { languageCode: 'en', vssId: '.en' }];
+    expect(page.selectTrack(tracks, { trackPreference: ['en'] }).vssId).toBe('.en');
+  });
+
+  test('falls back to the default when nothing matches', () => {
+    expect(page.selectTrack(TRACKS, { trackPreference: ['fr'] }).vssId).toBe('.de');
+  });
+
+  test('an explicit track id wins over preferences', () => {
+    expect(page.selectTrack(TRACKS, { trackId: '.en-GB', trackPreference: ['*'] }).vssId).toBe('.en-GB');
+  });
+});
+
+test.describe('describeTrack', () => {
+  test('reports id, name and kind', () => {
+    expect(JSON.parse(JSON.stringify(page.describeTrack(TRACKS[1])))).toEqual({
+      id: 'a.en',
+      languageCode: 'en',
+      name: 'English (auto-generated)',
+      kind: 'asr',
+    });
+  });
+});
+
+test.describe('getVideoDetails', () => {
+  test('prefers videoDetails and falls back to the microformat', () => {
+    const details = page.getVideoDetails({
+      videoDetails: { title: 'Talk', author: 'Channel', lengthSeconds: '125' },
+      microformat: { playerMicroformatRenderer: { title: { simpleText: 'Other' }, publishDate: '2024-05-01' } },
+    });
+
+    expect(JSON.parse(JSON.stringify(details))).toEqual({ title: 'Talk', channel: 'Channel', lengthMs: 125000, published: '2024-05-01', live: false });
+  });
+
+  test('reports unknown details as null', () => {
+    expect(JSON.parse(JSON.stringify(page.getVideoDetails(null)))).toEqual({ title: null, channel: null, lengthMs: null, published: null, live: false });
+  });
+});
+
+test.describe('parseDescriptionChapters', () => {
+  test('reads timestamp lines in the formats creators use', () => {
+    const description = [
+      'My talk about parsers.',
+      '',
+      '0:00 Intro',
+      '(1:30) - Tokens',
+      '1:02:03 Q&A',
+      'Follow me elsewhere',
+    ].join('\n');
+
+    expect(JSON.parse(JSON.stringify(page.parseDescriptionChapters(description)))).toEqual([
+      { start: 0, title: 'Intro' },
+      { start: 90000, title: 'Tokens' },
+      { start: 3723000, title: 'Q&A' },
+    ]);
+  });
+
+  test('ignores timestamps that YouTube would not treat as chapters', () => {
+    expect(page.parseDescriptionChapters('0:10 Late start\n1:00 Two\n2:00 Three').length).toBe(0);
+    expect(page.parseDescriptionChapters('0:00 Only\n1:00 Two').length).toBe(0);
+    expect(page.parseDescriptionChapters('0:00 One\n2:00 Two\n1:00 Back').length).toBe(0);
+  });
+});
+
+test.describe('resolveRange', () => {
+  test.beforeEach(() => {
+    page.location = new URL('https://www.youtube.com/watch?v=abc123def45');
+    page.document = { querySelector: () => ({ currentTime: 300.5 }) };
+  });
+
+  test('reads the playhead for playhead-relative ranges', () => {
+    expect(page.resolveRange({ from: 'playhead' })).toEqual({ start: 300500, end: Infinity });
+    expect(page.resolveRange({ lastMinutes: 2 })).toEqual({ start: 180500, end: 300500 });
+    expect(page.resolveRange({ lastMinutes: 10 })).toEqual({ start: 0, end: 300500 });
+  });
+
+  test('passes fixed marks through and rejects backwards ones', () => {
+    expect(page.resolveRange({ start: 1000, end: 5000 })).toEqual({ start: 1000, end: 5000 });
+    expect(() => page.resolveRange({ start: 5000, end: 1000 })).toThrow('Invalid range');
+  });
+
+  test('refuses playhead ranges for a video that is not playing', () => {
+    expect(() => page.resolveRange({ from: 'playhead' }, 'zzzzzzzzzzz')).toThrow('only work on the video that is playing');
+  });
+});
+
+test.describe('extractTranscript', () => {
+  /**
+   * Stub the page environment for a watch page whose Innertube player
+   * requests answer per client name
+   */
+  function stubPage(playerResponses) {
+    page.location = new URL('https://www.youtube.com/watch?v=abc123def45');
+    page.ytcfg = { data_: { INNERTUBE_API_KEY: 'test-key' } };
+    page.document = { getElementById: () => null };
+    page.fetch = async (url, init) => {
+      if (url.startsWith('/youtubei/v1/player')) {
+        const client = JSON.parse(init.body).context.client.clientName;
+        const body = playerResponses[client];
+        return body
+          ? { ok: true, status: 200, json: async () => body }
+          : { ok: false, status: 403, json: async () => ({}) };
+      }
+      return { ok: true, status: 200, text: async () => SAMPLE_XML };
+    };
+  }
+
+  const withTracks = { captions: { playerCaptionsTracklistRenderer: { captionTracks: [{ ...TRACKS[1], baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123def45' }] } } };
+
+  test('uses the Android client when it works', async () => {
+    stubPage({ ANDROID: withTracks });
+
+    const transcript = await page.extractTranscript();
+
+    expect(transcript.extraction.strategy).toBe('android');
+    expect(transcript.cues.length).toBe(3);
+    expect(transcript.track.id).toBe('a.en');
+  });
+
+  test('falls through to the next rung and records why earlier ones failed', async () => {
+    stubPage({ ANDROID: { playabilityStatus: { status: 'ERROR' } }, IOS: withTracks });
+
+    const transcript = await page.extractTranscript();
+
+    expect(transcript.extraction.strategy).toBe('ios');
+    expect(JSON.parse(JSON.stringify(transcript.extraction.attempts))).toEqual([
+      { strategy: 'android', ok: false, code: 'PLAYABILITY_BLOCKED', reason: 'Video not playable: ERROR' },
+      { strategy: 'ios', ok: true },
+    ]);
+  });
+
+  test('reports every failed rung when nothing works', async () => {
+    stubPage({});
+
+    await expect(page.extractTranscript()).rejects.toThrow(
+      /All extraction strategies failed \(android: Player API failed: 403; .*transcript-panel: No page data for this video\)/
+    );
+  });
+
+  test('fails with the most telling code and keeps every attempt', async () => {
+    stubPage({ IOS: { playabilityStatus: { status: 'LOGIN_REQUIRED', reason: 'Sign in to confirm your age' } }, TVHTML5_SIMPLY_EMBEDDED_PLAYER: {} });
+
+    const error = await page.extractTranscript().catch(err => err);
+
+    expect(error.code).toBe('NO_TRACKS');
+    expect(error.details.attempts.map(a => a.code)).toEqual([
+      'PLAYER_HTTP_ERROR', 'PLAYABILITY_BLOCKED', 'NO_TRACKS', 'PAGE_DATA_MISSING', 'PAGE_DATA_MISSING',
+    ]);
+  });
+
+  test('reports a blocked video as PLAYABILITY_BLOCKED with its reason', async () => {
+    const blocked = { playabilityStatus: { status: 'LOGIN_REQUIRED', reason: 'Join this channel to get access' } };
+    stubPage({ ANDROID: blocked, IOS: blocked, TVHTML5_SIMPLY_EMBEDDED_PLAYER: blocked });
+
+    const error = await page.extractTranscript().catch(err => err);
+
+    expect(error.code).toBe('PLAYABILITY_BLOCKED');
+    expect(error.details.attempts[0].reason).toBe('Video not playable: Join this channel to get access');
+  });
+
+  test('rejects unknown formats as INVALID_OPTION before any network work', async () => {
+    stubPage({});
+
+    const error = await page.getTranscript({ format: 'docx' }).catch(err => err);
+
+    expect(error.code).toBe('INVALID_OPTION');
+  });
+
+  test('renders a user template instead of the format', async () => {
+    stubPage({ ANDROID: withTracks });
+    const template = { name: 'List', extension: 'md', body: '# {{videoId}}\n{{#cues}}\n- {{start}} {{text}}\n{{/cues}}' };
+
+    const transcript = await page.getTranscript({ template, header: 'yaml' });
+
+    expect(transcript).toBe('# abc123def45\n- 00:00 Hello & welcome\n- 00:02 to the show\n- 1:02:05 It\'s late\n');
+  });
+
+  test('rejects a broken template as INVALID_OPTION before any network work', async () => {
+    stubPage({});
+
+    const error = await page.getTranscript({ template: { name: 'Broken', extension: 'md', body: '{{#cues}}{{text}}' } }).catch(err => err);
+
+    expect(error.code).toBe('INVALID_OPTION');
+    expect(error.message).toContain('{{#cues}} is never closed');
+  });
+
+  test('adds YouTube\'s translation into the requested language to every line', async () => {
+    const translatable = { captions: { playerCaptionsTracklistRenderer: {
+      captionTracks: [{ ...withTracks.captions.playerCaptionsTracklistRenderer.captionTracks[0], isTranslatable: true }],
+      translationLanguages: [{ languageCode: 'de', languageName: { simpleText: 'German' } }]
+    } } };
+    stubPage({ ANDROID: translatable });
+    const fetched = [];
+    const fetch = page.fetch;
+    page.fetch = (url, init) => {
+      fetched.push(url);
+      return url.includes('tlang=de')
+        ? { ok: true, status: 200, text: async () => '<timedtext format="3"><body><p t="0" d="2500">Hallo und willkommen</p><p t="2500" d="3000">zur Show</p></body></timedtext>' }
+        : fetch(url, init);
+    };
+
+    const { transcript } = await page.getTranscriptResult({ format: 'plain', translateTo: 'de' });
+
+    expect(fetched.filter(url => url.includes('tlang=de'))).toHaveLength(1);
+    expect(transcript).toBe('Hello & welcome\nHallo und willkommen\nto the show\nzur Show\nIt\'s late');
+  });
+
+  test('fails with NO_TRANSLATION when YouTube does not offer the language', async () => {
+    stubPage({ ANDROID: withTracks });
+
+    const error = await page.getTranscript({ translateTo: 'de' }).catch(err => err);
+
+    expect(error.code).toBe('NO_TRANSLATION');
+    expect(error.details.attempts[0].reason).toBe('YouTube cannot translate the en captions');
+  });
+
+  test('returns the whole transcript for the library, whatever the range', async () => {
+    stubPage({ ANDROID: withTracks });
+
+    const result = await page.getTranscriptResult({ range: { start: 0, end: 3000 }, reflow: true, archive: true });
+
+    expect(result.transcript).not.toContain('late');
+    expect(result.archive.cues.map(cue => cue.text)).toEqual(['Hello & welcome', 'to the show', 'It\'s late']);
+    expect(result.archive).not.toHaveProperty('extraction');
+    expect(result.archive).not.toHaveProperty('range');
+  });
+
+  test('rejects unknown translation layouts as INVALID_OPTION', async () => {
+    stubPage({});
+
+    const error = await page.getTranscript({ translateTo: 'de', translationLayout: 'stacked' }).catch(err => err);
+
+    expect(error.code).toBe('INVALID_OPTION');
+  });
+
+  test('serves repeated requests for a video and track selection from the cache', async () => {
+    stubPage({ ANDROID: withTracks });
+    const fetched = [];
+    const fetch = page.fetch;
+    page.fetch = (url, init) => {
+      fetched.push(url);
+      return fetch(url, init);
+    };
+
+    const first = await page.loadTranscript({ trackPreference: ['en:asr'] });
+    const second = await page.loadTranscript({ trackPreference: ['en:asr'] });
+    await page.loadTranscript({ trackPreference: ['*'] });
+
+    expect(first.extraction.cached).toBeUndefined();
+    expect(second.extraction.cached).toBe(true);
+    expect(second.cues).toEqual(first.cues);
+    // One player request and one caption download per track selection
+    expect(fetched.length).toBe(4);
+  });
+
+  test('retries failed extractions instead of serving the failure', async () => {
+    stubPage({});
+    await expect(page.loadTranscript()).rejects.toMatchObject({ code: 'PLAYER_HTTP_ERROR' });
+
+    stubPage({ ANDROID: withTracks });
+    const transcript = await page.loadTranscript();
+
+    expect(transcript.extraction.strategy).toBe('android');
+    expect(transcript.extraction.cached).toBeUndefined();
+  });
+
+  test('sends the configured locale and drops transcripts cached under the old one', async () => {
+    stubPage({ ANDROID: withTracks });
+    const locales = [];
+    const fetch = page.fetch;
+    page.fetch = (url, init) => {
+      if (init?.body) {
+        const { hl, gl } = JSON.parse(init.body).context.client;
+        locales.push(`${hl}-${gl}`);
+      }
+      return fetch(url, init);
+    };
+
+    await page.loadTranscript();
+    page.configureLocale({ hl: 'de', gl: 'DE' });
+    const transcript = await page.loadTranscript();
+
+    expect(locales).toEqual(['en-US', 'de-DE']);
+    expect(transcript.extraction.cached).toBeUndefined();
+  });
+
+  test('never caches live streams', async () => {
+    stubPage({ ANDROID: { ...withTracks, videoDetails: { isLive: true } } });
+
+    await page.loadTranscript();
+    const again = await page.loadTranscript();
+
+    expect(again.extraction.cached).toBeUndefined();
+  });
+});
+
+test.describe('fetchPlaylistVideos', () => {
+  const renderer = id => ({ playlistVideoRenderer: { videoId: id, title: { runs: [{ text: `Video ${id}` }] } } });
+
+  /**
+   * Stub the browse endpoint with one reply per page, in request order
+   */
+  function stubBrowse(replies) {
+    page.ytcfg = { data_: { INNERTUBE_API_KEY: 'test-key', INNERTUBE_CONTEXT: { client: {} } } };
+    const requests = [];
+    page.fetch = async (url, init) => {
+      requests.push(JSON.parse(init.body));
+      const reply = replies[requests.length - 1];
+      return reply
+        ? { ok: true, status: 200, json: async () => reply }
+        : { ok: false, status: 500, json: async () => ({}) };
+    };
+    return requests;
+  }
+
+  test('follows continuations through every page', async () => {
+    const requests = stubBrowse([
+      { contents: [renderer('a'), renderer('b'), { continuationCommand: { token: 'next' } }] },
+      { contents: [renderer('c')] },
+    ]);
+
+    const videos = await page.fetchPlaylistVideos('PL1');
+
+    expect(videos.map(video => video.videoId)).toEqual(['a', 'b', 'c']);
+    expect(requests[1].continuation).toBe('next');
+  });
+
+  test('fails instead of returning part of the list when a later page fails', async () => {
+    stubBrowse([{ contents: [renderer('a'), { continuationCommand: { token: 'next' } }] }]);
+
+    const error = await page.fetchPlaylistVideos('PL1').catch(err => err);
+
+    expect(error.code).toBe('PLAYLIST_HTTP_ERROR');
+    expect({ ...error.details }).toEqual({ listId: 'PL1', status: 500, page: 1, found: 1 });
+  });
+
+  test('reports a failed first page that has no watch page fallback', async () => {
+    stubBrowse([]);
+
+    const error = await page.fetchPlaylistVideos('RD1').catch(err => err);
+
+    expect(error.code).toBe('PLAYLIST_HTTP_ERROR');
+    expect(error.details.status).toBe(500);
+  });
+
+  test('falls back to the watch page panel when the list cannot be browsed', async () => {
+    stubBrowse([]);
+    page.ytInitialData = { playlist: { playlistId: 'RD1', contents: [{ playlistPanelVideoRenderer: { videoId: 'm', title: { simpleText: 'Mix' } } }] } };
+
+    const videos = await page.fetchPlaylistVideos('RD1');
+
+    expect(videos.map(video => video.videoId)).toEqual(['m']);
+  });
+});
+
+test.describe('mapWithConcurrency', () => {
+  test('keeps result order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await page.mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect([...results]).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+});
+
+test.describe('channel handshake', () => {
+  // Inside the sandbox `window` is the context's global proxy, not the sandbox object
+  const connect = (data = {}, ports = [{}]) => {
+    const event = {
+      source: vm.runInContext('window', page),
+      data: { type: 'TRANSCRIPT_CONTROL_CONNECT', version: 1, ...data },
+      ports,
+      stopped: false,
+    };
+    event.stopImmediatePropagation = () => { event.stopped = true; };
+    return event;
+  };
+
+  test('recognizes only handshakes from this window that carry a port', () => {
+    expect(page.isChannelConnect(connect())).toBe(true);
+    expect(page.isChannelConnect({ ...connect(), source: {} })).toBe(false);
+    expect(page.isChannelConnect(connect({ type: 'OTHER' }))).toBe(false);
+    expect(page.isChannelConnect(connect({}, []))).toBe(false);
+  });
+
+  test('serves the first handshake and hides it from the page\'s own listeners', () => {
+    const removed = [];
+    page.removeEventListener = (type, listener, capture) => removed.push([type, listener === page.handleConnect, capture]);
+    const event = connect();
+
+    page.handleConnect(event);
+
+    expect(event.stopped).toBe(true);
+    expect(typeof event.ports[0].onmessage).toBe('function');
+    expect(removed).toEqual([['message', true, true]]);
+  });
+
+  test('lets other window messages through', () => {
+    const event = connect({ type: 'SOMETHING_ELSE' });
+
+    page.handleConnect(event);
+
+    expect(event.stopped).toBe(false);
+  });
+});
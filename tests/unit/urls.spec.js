@@ -0,0 +1,56 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for YouTube URL recognition
+ *
+ * Runs urls.js in a Node sandbox, so no browser is needed.
+ */
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+
+test.describe('parseVideoId', () => {
+  let TranscriptUrls;
+  test.beforeEach(() => {
+    ({ TranscriptUrls } = loadScripts('src/urls.js'));
+  });
+
+  for (const url of [
+    `https://www.youtube.com/watch?v=${VIDEO_ID}`,
+    `https://www.youtube.com/watch?v=${VIDEO_ID}&list=PL123&t=42s`,
+    `https://m.youtube.com/watch?v=${VIDEO_ID}`,
+    `https://www.youtube.com/shorts/${VIDEO_ID}`,
+    `https://m.youtube.com/shorts/${VIDEO_ID}?feature=share`,
+    `https://www.youtube.com/live/${VIDEO_ID}`,
+    `https://www.youtube.com/embed/${VIDEO_ID}?autoplay=1`,
+    `https://www.youtube-nocookie.com/embed/${VIDEO_ID}`,
+    `https://youtu.be/${VIDEO_ID}?t=10`,
+    `/watch?v=${VIDEO_ID}`,
+  ]) {
+    test(`recognizes ${url}`, () => {
+      expect(TranscriptUrls.parseVideoId(url)).toBe(VIDEO_ID);
+    });
+  }
+
+  for (const url of [
+    'https://www.youtube.com/',
+    'https://www.youtube.com/playlist?list=PL123',
+    'https://www.youtube.com/embed/videoseries?list=PL123',
+    'https://www.youtube.com/@channel/videos',
+    `https://example.com/watch?v=${VIDEO_ID}`,
+    'not a url at all ::',
+  ]) {
+    test(`rejects ${url}`, () => {
+      expect(TranscriptUrls.parseVideoId(url)).toBeNull();
+    });
+  }
+});
+
+test.describe('watchUrl', () => {
+  test('adds a whole-second start time when given one', () => {
+    const { TranscriptUrls } = loadScripts('src/urls.js');
+
+    expect(TranscriptUrls.watchUrl(VIDEO_ID)).toBe(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    expect(TranscriptUrls.watchUrl(VIDEO_ID, 754900)).toBe(`https://www.youtube.com/watch?v=${VIDEO_ID}&t=754s`);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { loadScripts } from './load-scripts.js';
+
+/**
+ * Unit tests for the transcript viewer's search and playback helpers
+ *
+ * Runs viewer.js in a Node sandbox; the panel itself needs a page and is
+ * not built here.
+ */
+
+const cues = [
+  { start: 0, duration: 2000, text: 'Welcome to the show' },
+  { start: 2000, duration: 2000, text: 'Today: parsers' },
+  { start: 4000, duration: 2000, text: 'Show notes are below' },
+];
+
+let TranscriptViewer;
+test.beforeEach(() => {
+  ({ TranscriptViewer } = loadScripts('src/viewer.js'));
+});
+
+test.describe('findMatches', () => {
+  test('finds cues containing the query, ignoring case', () => {
+    expect(TranscriptViewer.findMatches(cues, 'SHOW')).toEqual([0, 2]);
+  });
+
+  test('matches nothing for a blank query', () => {
+    expect(TranscriptViewer.findMatches(cues, '  ')).toEqual([]);
+  });
+
+  test('keeps up with long transcripts where most cues match', () => {
+    const many = Array.from({ length: 100000 }, (_, i) => ({ start: i * 1000, duration: 1000, text: `Line ${i}` }));
+
+    const started = Date.now();
+    const found = TranscriptViewer.findMatches(many, 'line');
+
+    expect(found).toHaveLength(100000);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+test.describe('activeCueIndex', () => {
+  test('picks the last cue started by the playback time', () => {
+    expect(TranscriptViewer.activeCueIndex(cues, 0)).toBe(0);
+    expect(TranscriptViewer.activeCueIndex(cues, 3999)).toBe(1);
+    expect(TranscriptViewer.activeCueIndex(cues, 90000)).toBe(2);
+  });
+
+  test('is -1 before the first cue', () => {
+    expect(TranscriptViewer.activeCueIndex([{ start: 500, duration: 0, text: 'x' }], 100)).toBe(-1);
+  });
+});
+
+test.describe('splitMatches', () => {
+  test('splits text around every match, keeping the original case', () => {
+    expect(JSON.parse(JSON.stringify(TranscriptViewer.splitMatches('Show me the show', 'show')))).toEqual([
+      { text: 'Show', match: true },
+      { text: ' me the ', match: false },
+      { text: 'show', match: true },
+    ]);
+  });
+});